@@ -0,0 +1,259 @@
+// ==== ACCOUNTS AND TRANSFERS ====
+// Every import belongs to an account (checking, a credit card, savings).
+// Money moved between two loaded accounts shows up twice, as an expense in
+// one and income in the other, so such pairs are matched automatically,
+// put in Transfer and left out of income and expense totals.
+//
+// Stored under 'accounts':
+// {
+//   openingBalances: { 'Wells Fargo': 1520.33 },   // balance before the first loaded row
+//   profileAccounts: { WellsFargo_WithHeaders: 'Joint Checking' }, // last account chosen per format
+//   notTransfers: ['["idA","idB"]']                // pairs the user says are not transfers
+// }
+
+const ACCOUNTS_KEY = 'accounts';
+const TRANSFER_CATEGORY = 'Transfer';
+// Both sides of a transfer must post within this many days of each other
+const TRANSFER_MAX_DAYS = 4;
+
+function getAccountSettings() {
+  return { openingBalances: {}, profileAccounts: {}, notTransfers: [], ...readStored(ACCOUNTS_KEY, {}) };
+}
+
+function saveAccountSettings(settings) {
+  writeStored(ACCOUNTS_KEY, settings);
+}
+
+function transferPairKey(a, b) {
+  return JSON.stringify([a, b].sort());
+}
+
+// Stops a matched pair from being treated as a transfer
+function rejectTransfer(id, partnerId) {
+  const settings = getAccountSettings();
+  const key = transferPairKey(id, partnerId);
+  if (!settings.notTransfers.includes(key)) settings.notTransfers.push(key);
+  saveAccountSettings(settings);
+}
+
+/**
+ * Pairs equal-and-opposite rows from different accounts posted within
+ * TRANSFER_MAX_DAYS of each other. Rows whose Id is in skip (split or
+ * categorized by hand) and pairs the user rejected are left alone. Each row
+ * is paired at most once, closest dates first.
+ * Returns { [Id]: partner row } with both sides of every pair.
+ */
+function findTransfers(rows, skip = new Set()) {
+  const rejected = new Set(getAccountSettings().notTransfers);
+  const eligible = rows.filter(r => r.Id && !skip.has(r.Id));
+
+  const incoming = {};
+  eligible.forEach(r => {
+    if (Number(r.Amount) > 0) (incoming[toCents(r.Amount)] = incoming[toCents(r.Amount)] || []).push(r);
+  });
+
+  const candidates = [];
+  eligible.forEach(out => {
+    if (!(Number(out.Amount) < 0)) return;
+    (incoming[-toCents(out.Amount)] || []).forEach(inc => {
+      if (inc.Account === out.Account || rejected.has(transferPairKey(out.Id, inc.Id))) return;
+      const days = daysBetween(out.Date, inc.Date);
+      if (days <= TRANSFER_MAX_DAYS) candidates.push({ out, inc, days });
+    });
+  });
+  candidates.sort((a, b) => a.days - b.days || a.out.Date.localeCompare(b.out.Date));
+
+  const pairs = {};
+  candidates.forEach(({ out, inc }) => {
+    if (pairs[out.Id] || pairs[inc.Id]) return;
+    pairs[out.Id] = inc;
+    pairs[inc.Id] = out;
+  });
+  return pairs;
+}
+
+// Accounts in the ledger plus any with a saved opening balance, sorted
+function knownAccounts(rows) {
+  const names = new Set([...rows.map(r => r.Account).filter(Boolean),
+    ...Object.keys(getAccountSettings().openingBalances)]);
+  return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Per-account totals over ledger rows. Transfers are the categorized rows
+ * flagged Transfer. Balance is the opening balance plus every row.
+ * Returns [{ account, count, from, to, income, expenses, transfersIn,
+ * transfersOut, opening, balance }].
+ */
+function accountBalances(rows, categorized) {
+  const openings = getAccountSettings().openingBalances;
+  const transferIds = new Set(Object.values(categorized).flat().filter(t => t.Transfer).map(t => t.Id));
+
+  return knownAccounts(rows).map(account => {
+    const own = rows.filter(r => r.Account === account);
+    const sum = list => list.reduce((total, r) => total + Number(r.Amount), 0);
+    const moved = own.filter(r => transferIds.has(r.Id));
+    const other = own.filter(r => !transferIds.has(r.Id));
+    const opening = Number(openings[account]) || 0;
+    const { from, to } = getDateRange(own);
+    return {
+      account,
+      count: own.length,
+      from,
+      to,
+      income: sum(other.filter(r => Number(r.Amount) > 0)),
+      expenses: sum(other.filter(r => Number(r.Amount) < 0)),
+      transfersIn: sum(moved.filter(r => Number(r.Amount) > 0)),
+      transfersOut: sum(moved.filter(r => Number(r.Amount) < 0)),
+      opening,
+      balance: opening + sum(own)
+    };
+  });
+}
+
+function renderAccounts(rows, categorized, open) {
+  const container = document.getElementById('accounts');
+  const current = container.querySelector('details');
+  const wasOpen = current ? current.open : true;
+  container.innerHTML = '';
+  if (!rows.length) return;
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Accounts';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'Balance is the opening balance plus every loaded transaction; for a credit card a negative ' +
+    `balance is what you owe. Matching amounts moved between accounts within ${TRANSFER_MAX_DAYS} days are ` +
+    'counted as transfers, not income or expenses.';
+  details.appendChild(intro);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Account', 'From', 'To', 'Rows', 'Income', 'Expenses', 'Transfers In', 'Transfers Out', 'Opening Balance', 'Balance']
+    .forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      thead.appendChild(th);
+    });
+  accountBalances(rows, categorized).forEach(a => {
+    const row = table.insertRow();
+    row.insertCell().textContent = a.account;
+    row.insertCell().textContent = a.from;
+    row.insertCell().textContent = a.to;
+    row.insertCell().textContent = a.count;
+    [a.income, a.expenses, a.transfersIn, a.transfersOut].forEach(v => { row.insertCell().textContent = v.toFixed(2); });
+
+    const opening = ruleInput(a.opening ? a.opening.toFixed(2) : '', 'number', '7rem');
+    opening.placeholder = '0.00';
+    opening.title = `Balance of ${a.account} before ${a.from || 'the first loaded transaction'}`;
+    opening.addEventListener('change', () => {
+      const settings = getAccountSettings();
+      const value = normalizeAmount(opening.value);
+      if (value) settings.openingBalances[a.account] = value;
+      else delete settings.openingBalances[a.account];
+      saveAccountSettings(settings);
+      renderAccounts(rows, categorized);
+    });
+    row.insertCell().appendChild(opening);
+
+    const balance = row.insertCell();
+    balance.textContent = a.balance.toFixed(2);
+    balance.style.fontWeight = 'bold';
+    if (a.balance < 0) balance.style.color = '#c62828';
+  });
+  details.appendChild(table);
+
+  container.appendChild(details);
+}
+
+/**
+ * Asks which account each file in an import belongs to, suggesting the
+ * account the file names, the one last chosen for its format, or one
+ * inferred from the format. imports: [{ fileName, profile, account }];
+ * existing: account names to offer. Resolves to the chosen account names in
+ * the same order, or null if the import is cancelled.
+ */
+function chooseAccounts(imports, existing) {
+  const container = document.getElementById('import-review');
+  container.innerHTML = '';
+
+  return new Promise(resolve => {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Choose Accounts';
+    container.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Each file is added to an account. Use the same name for every statement from one account ' +
+      'so balances and transfers between accounts line up.';
+    container.appendChild(intro);
+
+    const listId = 'import-accounts';
+    const datalist = document.createElement('datalist');
+    datalist.id = listId;
+    existing.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      datalist.appendChild(opt);
+    });
+    container.appendChild(datalist);
+
+    const table = document.createElement('table');
+    const thead = table.insertRow();
+    ['File', 'Format', 'Account'].forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      thead.appendChild(th);
+    });
+    const inputs = imports.map(imp => {
+      const row = table.insertRow();
+      row.insertCell().textContent = imp.fileName;
+      row.insertCell().textContent = imp.profile;
+      const input = ruleInput(imp.account, 'text', '14rem');
+      input.setAttribute('list', listId);
+      row.insertCell().appendChild(input);
+      return input;
+    });
+    container.appendChild(table);
+
+    const finish = result => {
+      container.innerHTML = '';
+      resolve(result);
+    };
+
+    const continueBtn = document.createElement('button');
+    continueBtn.textContent = 'Continue Import';
+    continueBtn.style.marginTop = '0.5rem';
+    continueBtn.onclick = () => {
+      const accounts = inputs.map(i => i.value.trim());
+      if (accounts.some(a => !a)) return alert('Please name an account for every file.');
+      finish(accounts);
+    };
+    container.appendChild(continueBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel Import';
+    cancelBtn.style.marginLeft = '0.5rem';
+    cancelBtn.onclick = () => finish(null);
+    container.appendChild(cancelBtn);
+  });
+}
+
+// The account to suggest for a parsed file
+function suggestAccount(parsed, fileName) {
+  if (parsed.account) return parsed.account;
+  return getAccountSettings().profileAccounts[parsed.profile] || accountForProfile(parsed.profile, fileName);
+}
+
+// Remembers the accounts chosen per format, for files that don't name one
+function rememberAccounts(imports, accounts) {
+  const settings = getAccountSettings();
+  imports.forEach((imp, i) => {
+    if (!imp.named && getProfile(imp.profile)) settings.profileAccounts[imp.profile] = accounts[i];
+  });
+  saveAccountSettings(settings);
+}
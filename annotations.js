@@ -0,0 +1,218 @@
+// ==== NOTES, TAGS AND FLAGS ====
+// Free-text notes, tags ("work trip", "gift") and reimbursable /
+// tax-deductible flags attached to single transactions. Like manual
+// categories and splits they are keyed by the ledger fingerprint (Id), so
+// they follow the transaction through re-imports and re-categorizing.
+//
+// Stored shape: { [Id]: { note: '', tags: ['work trip'], reimbursable: true, deductible: false } }
+
+const ANNOTATIONS_KEY = 'transactionNotes';
+
+function getAnnotations() {
+  return readStored(ANNOTATIONS_KEY, {});
+}
+
+function saveAnnotations(annotations) {
+  writeStored(ANNOTATIONS_KEY, annotations);
+}
+
+function isEmptyAnnotation(a) {
+  return !a.note && !a.tags.length && !a.reimbursable && !a.deductible;
+}
+
+// Saves the annotation for one transaction; an empty one is removed
+function setAnnotation(id, annotation) {
+  const annotations = getAnnotations();
+  if (isEmptyAnnotation(annotation)) delete annotations[id];
+  else annotations[id] = annotation;
+  saveAnnotations(annotations);
+}
+
+// A stored annotation with every field filled in
+function normalizeAnnotation(annotation) {
+  const a = annotation || {};
+  return { note: a.note || '', tags: a.tags || [], reimbursable: !!a.reimbursable, deductible: !!a.deductible };
+}
+
+// The fields categorizeTransactions copies onto each row
+function annotationFields(annotation) {
+  const a = normalizeAnnotation(annotation);
+  return { Note: a.note, Tags: a.tags, Reimbursable: a.reimbursable, Deductible: a.deductible };
+}
+
+// "Work trip, gift,, work trip" -> ['Work trip', 'gift']. Tags differing
+// only in case are one tag, spelled as it is already in use (or first typed).
+function parseTags(text) {
+  const inUse = Object.fromEntries(allTags().map(t => [t.toLowerCase(), t]));
+  const seen = new Set();
+  return String(text || '').split(',').map(t => t.trim()).filter(t => {
+    const key = t.toLowerCase();
+    if (!t || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).map(t => inUse[t.toLowerCase()] || t);
+}
+
+// Every tag in use, sorted
+function allTags() {
+  const tags = new Set();
+  Object.values(getAnnotations()).forEach(a => a.tags.forEach(t => tags.add(t)));
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Adds and removes tags on several transactions at once. Other annotation
+ * fields are left as they are.
+ */
+function changeTags(ids, add, remove = []) {
+  const annotations = getAnnotations();
+  const drop = new Set(remove.map(t => t.toLowerCase()));
+  ids.forEach(id => {
+    const a = normalizeAnnotation(annotations[id]);
+    const tags = parseTags([...a.tags, ...add].join(',')).filter(t => !drop.has(t.toLowerCase()));
+    const next = { ...a, tags };
+    if (isEmptyAnnotation(next)) delete annotations[id];
+    else annotations[id] = next;
+  });
+  saveAnnotations(annotations);
+}
+
+/**
+ * Totals for rows from categorizeTransactions, per tag and per flag.
+ * A row with several tags counts toward each of them.
+ * Returns [{ label, count, total }], tags first, then the flags in use.
+ */
+function tagTotals(rows) {
+  const totals = {};
+  const add = (label, t) => {
+    const entry = totals[label] = totals[label] || { label, count: 0, total: 0 };
+    entry.count++;
+    entry.total += t.Amount;
+  };
+  rows.forEach(t => (t.Tags || []).forEach(tag => add(tag, t)));
+  const tagRows = Object.values(totals).sort((a, b) => a.label.localeCompare(b.label));
+
+  const flagTotals = [];
+  [['Reimbursable', 'Reimbursable'], ['Deductible', 'Tax-deductible']].forEach(([field, label]) => {
+    const flagged = rows.filter(t => t[field]);
+    if (flagged.length) {
+      flagTotals.push({ label, count: flagged.length, total: flagged.reduce((sum, t) => sum + t.Amount, 0) });
+    }
+  });
+  return [...tagRows, ...flagTotals];
+}
+
+// Table of tag and flag totals, or null when nothing shown is tagged
+function renderTagTotals(rows) {
+  const totals = tagTotals(rows);
+  if (!totals.length) return null;
+
+  const wrap = document.createElement('div');
+  const heading = document.createElement('h3');
+  heading.textContent = 'Totals by Tag';
+  wrap.appendChild(heading);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Tag', 'Transactions', 'Total'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  totals.forEach(t => {
+    const row = table.insertRow();
+    row.insertCell().textContent = t.label;
+    row.insertCell().textContent = t.count;
+    row.insertCell().textContent = t.total.toFixed(2);
+  });
+  wrap.appendChild(table);
+  return wrap;
+}
+
+// Short text for the Notes column: tags, flags, then the note
+function annotationSummary(txn) {
+  const parts = [];
+  if (txn.Tags.length) parts.push(txn.Tags.map(t => `#${t}`).join(' '));
+  if (txn.Reimbursable) parts.push('Reimbursable');
+  if (txn.Deductible) parts.push('Tax-deductible');
+  if (txn.Note) parts.push(txn.Note);
+  return parts.join(' · ');
+}
+
+/**
+ * Opens the notes editor for one transaction. Resolves to the edited
+ * annotation ({ note, tags, reimbursable, deductible }) or null if cancelled.
+ */
+function openNoteEditor(txn) {
+  const container = document.getElementById('note-editor');
+  container.innerHTML = '';
+
+  return new Promise(resolve => {
+    const current = annotationFields(getAnnotations()[txn.Id]);
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Notes and Tags';
+    container.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.textContent = `${txn.Date}  ${Number(txn.Amount).toFixed(2)}  ${txn.Description}`;
+    container.appendChild(intro);
+
+    const note = document.createElement('textarea');
+    note.rows = 3;
+    note.style.width = '100%';
+    note.placeholder = 'e.g., Work trip, submit for reimbursement';
+    note.value = current.Note;
+    container.appendChild(note);
+
+    const tags = ruleInput(current.Tags.join(', '), 'text', '20rem');
+    tags.placeholder = 'Comma separated, e.g., work trip, 2026 conference';
+    container.appendChild(ruleField('Tags:', tags));
+
+    const existing = allTags();
+    if (existing.length) {
+      const hint = document.createElement('p');
+      hint.style.fontSize = '0.85rem';
+      hint.style.color = '#666';
+      hint.textContent = `Tags in use: ${existing.join(', ')}`;
+      container.appendChild(hint);
+    }
+
+    const flag = (text, checked) => {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked;
+      container.appendChild(ruleField(text, box));
+      return box;
+    };
+    const reimbursable = flag('Reimbursable', current.Reimbursable);
+    const deductible = flag('Tax-deductible', current.Deductible);
+
+    const actions = document.createElement('div');
+    actions.appendChild(ruleButton('Save', () => {
+      container.innerHTML = '';
+      resolve({
+        note: note.value.trim(),
+        tags: parseTags(tags.value),
+        reimbursable: reimbursable.checked,
+        deductible: deductible.checked
+      });
+    }));
+    actions.appendChild(ruleButton('Cancel', () => {
+      container.innerHTML = '';
+      resolve(null);
+    }));
+    container.appendChild(actions);
+    note.focus();
+  });
+}
+
+// Opens the editor for a ledger row and re-renders once it is saved
+async function editNotes(id) {
+  const txn = (CURRENT_ROWS || []).find(r => r.Id === id);
+  if (!txn) return;
+  const annotation = await openNoteEditor({ ...txn, Description: categoryDesc(txn.Description) });
+  if (annotation === null) return;
+  recordAction(`Edit notes for ${categoryDesc(txn.Description)}`, () => setAnnotation(id, annotation));
+  refreshResults();
+}
@@ -0,0 +1,374 @@
+// ==== BACKUP AND RESTORE ====
+// One JSON file with everything the app keeps in this browser, so rules and
+// history survive a new browser or cleared site data. Restoring validates the
+// file, previews the changes per section, and then merges or replaces.
+//
+// File shape:
+// {
+//   app: 'finance-sorter',
+//   version: 1,
+//   exportedAt: '2026-10-19T12:00:00.000Z',
+//   data: { categoryRules: [...], customProfiles: [...], ledger: {...}, ... }
+// }
+// Sections missing from a file are left alone on restore.
+
+const BACKUP_APP = 'finance-sorter';
+const BACKUP_VERSION = 1;
+
+const isPlainObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isStringList = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+// valid() for a settings object stored as a map: each known field must pass
+// its check; fields this version doesn't know are kept as they are
+function settingsFields(checks) {
+  return (value, key) => !Object.hasOwn(checks, key) || checks[key](value);
+}
+
+// type 'list': array keyed by id(); 'map': object keyed by its own keys, with
+// valid(value, key) called per entry; 'settings': a map whose object and list
+// fields are merged entry by entry too; 'ledger': the transaction ledger,
+// keyed by transaction Id
+const BACKUP_SECTIONS = [
+  {
+    key: RULES_KEY, label: 'Category rules', type: 'list', id: r => r.id,
+    read: () => getRules(), write: v => saveRules(v),
+    valid: r => isPlainObject(r) && typeof r.id === 'string' && typeof r.category === 'string'
+  },
+  {
+    key: RULE_SETTINGS_KEY, label: 'Rule settings', type: 'map',
+    read: () => getRuleSettings(), write: v => saveRuleSettings(v), valid: () => true
+  },
+  {
+    key: BUILT_IN_OVERRIDES_KEY, label: 'Built-in keyword settings', type: 'map',
+    read: () => getBuiltInOverrides(), write: v => saveBuiltInOverrides(v), valid: isPlainObject
+  },
+  {
+    key: OVERRIDES_KEY, label: 'Manual categories', type: 'map',
+    read: () => getOverrides(), write: v => saveOverrides(v), valid: v => typeof v === 'string'
+  },
+  {
+    key: CATEGORY_PARENTS_KEY, label: 'Category groups', type: 'map',
+    read: () => getCategoryParents(), write: v => saveCategoryParents(v), valid: v => typeof v === 'string'
+  },
+  {
+    key: SPLITS_KEY, label: 'Split transactions', type: 'map',
+    read: () => getSplits(), write: v => saveSplits(v),
+    valid: lines => Array.isArray(lines) && lines.every(l => isPlainObject(l) && typeof l.category === 'string')
+  },
+  {
+    key: ANNOTATIONS_KEY, label: 'Notes and tags', type: 'map',
+    read: () => getAnnotations(), write: v => saveAnnotations(v),
+    valid: a => isPlainObject(a) && isStringList(a.tags)
+  },
+  {
+    key: CUSTOM_PROFILES_KEY, label: 'Custom CSV profiles', type: 'list', id: p => p.name,
+    read: () => getCustomProfiles(), write: v => saveCustomProfiles(v),
+    valid: p => isPlainObject(p) && typeof p.name === 'string' && isPlainObject(p.columns) &&
+      Array.isArray(p.columns.description)
+  },
+  {
+    key: ACCOUNTS_KEY, label: 'Account settings', type: 'settings',
+    read: () => getAccountSettings(), write: v => saveAccountSettings(v),
+    valid: settingsFields({
+      openingBalances: v => isPlainObject(v) && Object.values(v).every(n => typeof n === 'number'),
+      profileAccounts: v => isPlainObject(v) && Object.values(v).every(a => typeof a === 'string'),
+      notTransfers: isStringList
+    })
+  },
+  {
+    key: FORECAST_KEY, label: 'Forecast settings', type: 'settings',
+    read: () => getForecastSettings(), write: v => saveForecastSettings(v),
+    valid: settingsFields({
+      startingBalance: v => v === null || typeof v === 'number',
+      threshold: v => typeof v === 'number',
+      days: v => FORECAST_HORIZONS.some(([days]) => days === v),
+      planned: v => Array.isArray(v) &&
+        v.every(p => isPlainObject(p) && typeof p.date === 'string' && typeof p.amount === 'number'),
+      excluded: isStringList
+    })
+  },
+  {
+    key: TAX_BUCKETS_KEY, label: 'Tax buckets', type: 'list', id: b => b.id,
+    read: () => getTaxBuckets(), write: v => saveTaxBuckets(v),
+    valid: b => isPlainObject(b) && typeof b.id === 'string' && typeof b.name === 'string' &&
+      ['categories', 'keywords', 'tags'].every(k => isStringList(b[k]))
+  },
+  {
+    key: BUDGETS_KEY, label: 'Budgets', type: 'map',
+    read: () => getBudgets(), write: v => saveBudgets(v),
+    valid: b => isPlainObject(b) && typeof b.amount === 'number'
+  },
+  {
+    key: LEDGER_KEY, label: 'Transactions', type: 'ledger',
+    read: () => getLedger(), write: v => saveLedger(v),
+    valid: t => isPlainObject(t) && typeof t.Id === 'string' && typeof t.Date === 'string' && typeof t.Amount === 'number',
+    // Merging sorts statements by account and start date
+    validStatement: st => isPlainObject(st) &&
+      ['key', 'account', 'fileName', 'from', 'to'].every(k => typeof st[k] === 'string')
+  }
+];
+
+function buildBackup() {
+  const data = {};
+  BACKUP_SECTIONS.forEach(s => { data[s.key] = s.read(); });
+  return { app: BACKUP_APP, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+// Returns a list of problems; empty when the file can be restored
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.app !== BACKUP_APP) return ['This is not a Finance Sorter backup file.'];
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return [`Backup version ${backup.version} is not supported by this version of the app.`];
+  }
+  if (!isPlainObject(backup.data)) return ['The backup has no data section.'];
+
+  const errors = [];
+  BACKUP_SECTIONS.forEach(s => {
+    const value = backup.data[s.key];
+    if (value === undefined) return;
+    if (s.type === 'list') {
+      if (!Array.isArray(value)) errors.push(`${s.label}: expected a list.`);
+      else if (!value.every(s.valid)) errors.push(`${s.label}: some entries are missing required fields.`);
+    } else if (s.type === 'map' || s.type === 'settings') {
+      if (!isPlainObject(value)) errors.push(`${s.label}: expected an object.`);
+      else if (!Object.entries(value).every(([k, v]) => s.valid(v, k))) errors.push(`${s.label}: some entries are malformed.`);
+    } else if (!isPlainObject(value) || !Array.isArray(value.statements) || !Array.isArray(value.transactions)) {
+      errors.push(`${s.label}: expected statements and transactions.`);
+    } else if (!value.transactions.every(s.valid)) {
+      errors.push(`${s.label}: some transactions are missing Id, Date or Amount.`);
+    } else if (!value.statements.every(s.validStatement)) {
+      errors.push(`${s.label}: some statements are missing their account, file name or dates.`);
+    }
+  });
+  return errors;
+}
+
+// Planned items have ids; plain strings are their own id
+const settingsItemId = v => (isPlainObject(v) && v.id !== undefined ? v.id : JSON.stringify(v));
+
+// { 'field': value } for plain fields, { 'field/key': entry } for the entries
+// of object and list fields
+function settingsItems(value) {
+  const items = {};
+  Object.entries(value).forEach(([field, v]) => {
+    if (Array.isArray(v)) v.forEach(x => { items[`${field}/${settingsItemId(x)}`] = x; });
+    else if (isPlainObject(v)) Object.entries(v).forEach(([k, x]) => { items[`${field}/${k}`] = x; });
+    else items[field] = v;
+  });
+  return items;
+}
+
+// { key: item } for any section value
+function sectionItems(section, value) {
+  if (section.type === 'list') return Object.fromEntries(value.map(v => [section.id(v), v]));
+  if (section.type === 'ledger') return Object.fromEntries(value.transactions.map(t => [t.Id, t]));
+  if (section.type === 'settings') return settingsItems(value);
+  return value;
+}
+
+// Backup entries replace ones with the same id; the rest are added at the end
+function mergeById(current, incoming, id) {
+  const next = Object.fromEntries(incoming.map(v => [id(v), v]));
+  const have = new Set(current.map(id));
+  return [...current.map(v => next[id(v)] || v), ...incoming.filter(v => !have.has(id(v)))];
+}
+
+/**
+ * Counts what restoring one section would do: entries only in the backup
+ * (added), in both but different (changed), and only in this browser
+ * (removed on replace, kept on merge).
+ */
+function diffSection(section, current, incoming) {
+  const have = sectionItems(section, current);
+  const next = sectionItems(section, incoming);
+  let added = 0;
+  let changed = 0;
+  Object.entries(next).forEach(([k, v]) => {
+    if (!(k in have)) added++;
+    else if (JSON.stringify(have[k]) !== JSON.stringify(v)) changed++;
+  });
+  const removed = Object.keys(have).filter(k => !(k in next)).length;
+  return { current: Object.keys(have).length, incoming: Object.keys(next).length, added, changed, removed };
+}
+
+// Backup entries win on conflicts; entries only in this browser are kept.
+// Ledger rows already present are kept as they are.
+function mergeSection(section, current, incoming) {
+  if (section.type === 'list') return mergeById(current, incoming, section.id);
+  if (section.type === 'map') return { ...current, ...incoming };
+  if (section.type === 'settings') {
+    const merged = { ...current };
+    Object.entries(incoming).forEach(([field, v]) => {
+      const have = current[field];
+      if (Array.isArray(v) && Array.isArray(have)) merged[field] = mergeById(have, v, settingsItemId);
+      else if (isPlainObject(v) && isPlainObject(have)) merged[field] = { ...have, ...v };
+      else merged[field] = v;
+    });
+    return merged;
+  }
+
+  const ids = new Set(current.transactions.map(t => t.Id));
+  const keys = new Set(current.statements.map(s => s.key));
+  const statements = [...current.statements, ...incoming.statements.filter(s => !keys.has(s.key))];
+  statements.sort((a, b) => a.account.localeCompare(b.account) || a.from.localeCompare(b.from));
+  return {
+    statements,
+    transactions: [...current.transactions, ...incoming.transactions.filter(t => !ids.has(t.Id))]
+  };
+}
+
+function restoreBackup(backup, mode) {
+  BACKUP_SECTIONS.forEach(s => {
+    const incoming = backup.data[s.key];
+    if (incoming === undefined) return;
+    s.write(mode === 'replace' ? incoming : mergeSection(s, s.read(), incoming));
+  });
+}
+
+// Re-renders everything that reads stored data
+function reloadFromStorage() {
+  clearHistory();
+  document.getElementById('session-banner').innerHTML = '';
+  const ledger = getLedger();
+  CURRENT_ROWS = ledger.transactions;
+  renderRulesPanel();
+  renderCategoriesPanel();
+  renderBudgetsPanel();
+  renderLedgerSummary(ledger);
+  if (CURRENT_ROWS.length) {
+    refreshResults();
+  } else {
+    ['results', 'accounts', 'reports', 'recurring', 'forecast', 'tax-report'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+  }
+}
+
+function renderRestorePreview(target, backup, fileName) {
+  target.innerHTML = '';
+
+  const errors = validateBackup(backup);
+  if (errors.length) {
+    const p = document.createElement('p');
+    p.style.color = '#c62828';
+    p.textContent = `${fileName} can't be restored: ${errors.join(' ')}`;
+    target.appendChild(p);
+    return;
+  }
+
+  const intro = document.createElement('p');
+  intro.textContent = `${fileName} (saved ${String(backup.exportedAt || 'at an unknown time').slice(0, 19).replace('T', ' ')}). ` +
+    'Merge adds the backup to what is here, with backup entries winning on conflicts. ' +
+    'Replace makes each section match the backup exactly.';
+  target.appendChild(intro);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Section', 'In Browser', 'In Backup', 'New', 'Different', 'Only in Browser'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  BACKUP_SECTIONS.forEach(s => {
+    const row = table.insertRow();
+    row.insertCell().textContent = s.label;
+    const incoming = backup.data[s.key];
+    if (incoming === undefined) {
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = 'Not in backup (left as is)';
+      return;
+    }
+    const d = diffSection(s, s.read(), incoming);
+    [d.current, d.incoming, d.added, d.changed, d.removed].forEach(n => { row.insertCell().textContent = n; });
+  });
+  target.appendChild(table);
+
+  const mode = document.createElement('select');
+  [['merge', 'Merge (keep entries only in this browser)'], ['replace', 'Replace (remove entries not in the backup)']]
+    .forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      mode.appendChild(opt);
+    });
+  const modeLabel = document.createElement('label');
+  modeLabel.style.display = 'block';
+  modeLabel.style.margin = '0.5rem 0';
+  modeLabel.textContent = 'Restore mode: ';
+  modeLabel.appendChild(mode);
+  target.appendChild(modeLabel);
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.textContent = 'Restore';
+  restoreBtn.onclick = () => {
+    if (mode.value === 'replace' &&
+      !confirm('Replace your rules, profiles, budgets and transactions with the backup? Entries not in the backup are removed.')) {
+      return;
+    }
+    restoreBackup(backup, mode.value);
+    target.innerHTML = '';
+    reloadFromStorage();
+    alert('Backup restored.');
+  };
+  target.appendChild(restoreBtn);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.style.marginLeft = '0.5rem';
+  cancelBtn.onclick = () => { target.innerHTML = ''; };
+  target.appendChild(cancelBtn);
+}
+
+function renderBackupPanel() {
+  const container = document.getElementById('backup-panel');
+  container.innerHTML = '';
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = 'Backup & Restore';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'Save your rules, custom CSV profiles, budgets, manual categories, notes and imported transactions ' +
+    'to one file, and restore them in another browser. The file contains your transactions; keep it private.';
+  details.appendChild(intro);
+
+  const downloadBtn = document.createElement('button');
+  downloadBtn.textContent = 'Download Backup';
+  downloadBtn.onclick = () => {
+    downloadFile(exportFileName('backup', 'json'), JSON.stringify(buildBackup(), null, 2), 'application/json');
+  };
+  details.appendChild(downloadBtn);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.textContent = 'Restore from Backup...';
+  restoreBtn.style.marginLeft = '0.5rem';
+  restoreBtn.onclick = () => fileInput.click();
+  details.appendChild(restoreBtn);
+  details.appendChild(fileInput);
+
+  const preview = document.createElement('div');
+  details.appendChild(preview);
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (err) {
+      preview.textContent = `${file.name} is not valid JSON.`;
+      return;
+    }
+    renderRestorePreview(preview, backup, file.name);
+  });
+
+  container.appendChild(details);
+}
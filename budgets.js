@@ -0,0 +1,282 @@
+// ==== MONTHLY BUDGETS ====
+// A monthly spending target per category, compared against the loaded
+// transactions month by month. With rollover, money left over in one month
+// is added to the next (and overspending is taken from it).
+//
+// Stored shape: { [category]: { amount: 400, rollover: false } }
+
+const BUDGETS_KEY = 'categoryBudgets';
+
+// Share of the budget at which a bar turns from green to orange
+const BUDGET_WARN_AT = 0.85;
+
+function getBudgets() {
+  return readStored(BUDGETS_KEY, {});
+}
+
+function saveBudgets(budgets) {
+  writeStored(BUDGETS_KEY, budgets);
+}
+
+function setBudget(category, amount, rollover) {
+  const budgets = getBudgets();
+  budgets[category] = { amount: Math.abs(Number(amount)) || 0, rollover: !!rollover };
+  saveBudgets(budgets);
+}
+
+function removeBudget(category) {
+  const budgets = getBudgets();
+  delete budgets[category];
+  saveBudgets(budgets);
+}
+
+// 'YYYY-MM' for every month from one date to another, inclusive. Anything
+// that isn't an ISO date gives no months.
+function monthsBetween(from, to) {
+  const months = [];
+  const isoMonth = /^\d{4}-\d{2}/;
+  if (!isoMonth.test(from || '') || !isoMonth.test(to || '')) return months;
+  let [y, m] = from.slice(0, 7).split('-').map(Number);
+  const [endY, endM] = to.slice(0, 7).split('-').map(Number);
+  while (y < endY || (y === endY && m <= endM)) {
+    months.push(`${y}-${String(m).padStart(2, '0')}`);
+    m++;
+    if (m > 12) { m = 1; y++; }
+  }
+  return months;
+}
+
+function daysInMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+/**
+ * Compares each budgeted category with the categorized rows for the months
+ * they cover. Spending is the negated sum of a category's amounts, so refunds
+ * count against it. The last month is projected from the latest loaded date
+ * when it is only partly covered. Returns { [category]: status } where status is
+ * { category, amount, rollover, budget, spent, months: [{ month, available, spent }],
+ *   overMonths, over, projected, trending }.
+ */
+function computeBudgetStatus(categorized) {
+  const budgets = getBudgets();
+  const all = [].concat(...Object.values(categorized));
+  const { from, to } = getDateRange(all);
+  const months = monthsBetween(from, to);
+  const statuses = {};
+  if (!months.length) return statuses;
+
+  const lastMonth = months[months.length - 1];
+  const lastDay = Number(to.slice(8, 10));
+  const partial = lastDay < daysInMonth(lastMonth);
+
+  Object.entries(budgets).forEach(([category, b]) => {
+    const byMonth = {};
+    categoryRollup(categorized, category).forEach(t => {
+      const month = String(t.Date || '').slice(0, 7);
+      byMonth[month] = (byMonth[month] || 0) - Number(t.Amount);
+    });
+
+    let carry = 0;
+    const rows = months.map(month => {
+      const available = b.amount + (b.rollover ? carry : 0);
+      const spent = byMonth[month] || 0;
+      carry = available - spent;
+      return { month, available, spent };
+    });
+
+    const spent = rows.reduce((sum, r) => sum + r.spent, 0);
+    const budget = b.amount * months.length;
+    const overMonths = rows.filter(r => r.spent > r.available + 0.005);
+    const last = rows[rows.length - 1];
+    const projected = partial ? last.spent / lastDay * daysInMonth(lastMonth) : last.spent;
+
+    statuses[category] = {
+      category,
+      amount: b.amount,
+      rollover: !!b.rollover,
+      budget,
+      spent,
+      months: rows,
+      // With rollover only the running balance matters, so judge the last month
+      overMonths: b.rollover ? overMonths.filter(r => r === last) : overMonths,
+      over: b.rollover ? overMonths.includes(last) : overMonths.length > 0,
+      projected,
+      trending: partial && !overMonths.includes(last) && projected > last.available + 0.005
+    };
+  });
+
+  return statuses;
+}
+
+function renderBudgetBar(status) {
+  const wrap = document.createElement('span');
+  wrap.style.display = 'inline-flex';
+  wrap.style.alignItems = 'center';
+  wrap.style.gap = '0.5rem';
+  wrap.style.marginLeft = '1rem';
+  wrap.style.fontSize = '0.9rem';
+  wrap.style.fontWeight = 'normal';
+
+  const ratio = status.budget > 0 ? status.spent / status.budget : 1;
+  const track = document.createElement('span');
+  track.style.display = 'inline-block';
+  track.style.width = '10rem';
+  track.style.height = '0.75rem';
+  track.style.background = '#e0e0e0';
+  const fill = document.createElement('span');
+  fill.style.display = 'block';
+  fill.style.height = '100%';
+  fill.style.width = `${Math.max(0, Math.min(ratio, 1)) * 100}%`;
+  fill.style.background = status.over || ratio > 1 ? '#c62828'
+    : status.trending || ratio >= BUDGET_WARN_AT ? '#ef6c00' : '#2e7d32';
+  track.appendChild(fill);
+  wrap.appendChild(track);
+
+  const label = document.createElement('span');
+  const months = status.months.length;
+  label.textContent = `$${status.spent.toFixed(2)} of $${status.budget.toFixed(2)}` +
+    (months > 1 ? ` (${months} months at $${status.amount.toFixed(2)}${status.rollover ? ', rollover' : ''})` : '');
+  wrap.appendChild(label);
+  return wrap;
+}
+
+function budgetWarnings(statuses) {
+  const warnings = [];
+  Object.values(statuses)
+    .sort((a, b) => a.category.localeCompare(b.category))
+    .forEach(s => {
+      s.overMonths.forEach(m => {
+        warnings.push(`${s.category}: over budget by $${(m.spent - m.available).toFixed(2)} in ${m.month} ` +
+          `($${m.spent.toFixed(2)} of $${m.available.toFixed(2)}).`);
+      });
+      if (s.trending) {
+        const last = s.months[s.months.length - 1];
+        warnings.push(`${s.category}: on pace for $${s.projected.toFixed(2)} of $${last.available.toFixed(2)} ` +
+          `in ${last.month} (month not finished).`);
+      }
+    });
+  return warnings;
+}
+
+// Warning list for the top of the results, or null when nothing is over
+function renderBudgetWarnings(statuses) {
+  const warnings = budgetWarnings(statuses);
+  if (!warnings.length) return null;
+
+  const box = document.createElement('div');
+  box.style.margin = '1rem 0';
+  box.style.padding = '0.75rem';
+  box.style.border = '1px solid #ef6c00';
+  box.style.background = '#fff3e0';
+
+  const heading = document.createElement('strong');
+  heading.textContent = '⚠️ Budget Warnings';
+  box.appendChild(heading);
+
+  const list = document.createElement('ul');
+  warnings.forEach(w => {
+    const li = document.createElement('li');
+    li.textContent = w;
+    list.appendChild(li);
+  });
+  box.appendChild(list);
+  return box;
+}
+
+function renderBudgetsPanel(open) {
+  const container = document.getElementById('budgets-panel');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Monthly Budgets';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'Set a monthly spending target per category. With rollover, money left in one month ' +
+    'carries into the next, and overspending is taken from it.';
+  details.appendChild(intro);
+
+  const afterChange = () => {
+    renderBudgetsPanel(true);
+    refreshResults();
+  };
+
+  const budgets = getBudgets();
+  const names = Object.keys(budgets).sort((a, b) => a.localeCompare(b));
+  if (names.length) {
+    const table = document.createElement('table');
+    const thead = table.insertRow();
+    ['Category', 'Monthly Amount', 'Rollover', ''].forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      thead.appendChild(th);
+    });
+    names.forEach(category => {
+      const row = table.insertRow();
+      row.insertCell().textContent = category;
+
+      const amount = ruleInput(budgets[category].amount, 'number');
+      amount.step = '0.01';
+      amount.min = '0';
+      row.insertCell().appendChild(amount);
+
+      const rollover = document.createElement('input');
+      rollover.type = 'checkbox';
+      rollover.checked = !!budgets[category].rollover;
+      row.insertCell().appendChild(rollover);
+
+      const actions = row.insertCell();
+      actions.appendChild(ruleButton('Save', () => {
+        recordAction(`Edit budget for ${category}`, () => setBudget(category, amount.value, rollover.checked));
+        afterChange();
+      }));
+      actions.appendChild(ruleButton('Remove', () => {
+        recordAction(`Remove budget for ${category}`, () => removeBudget(category));
+        afterChange();
+      }));
+    });
+    details.appendChild(table);
+  }
+
+  const form = document.createElement('div');
+  form.style.margin = '0.75rem 0';
+  const listId = 'budget-categories';
+  const datalist = document.createElement('datalist');
+  datalist.id = listId;
+  getRuleCategories().filter(c => !budgets[c]).forEach(c => {
+    const opt = document.createElement('option');
+    opt.value = c;
+    datalist.appendChild(opt);
+  });
+  form.appendChild(datalist);
+
+  const category = ruleInput('', 'text', '12rem');
+  category.setAttribute('list', listId);
+  const amount = ruleInput('', 'number');
+  amount.step = '0.01';
+  amount.min = '0';
+  const rollover = document.createElement('input');
+  rollover.type = 'checkbox';
+
+  form.appendChild(ruleField('Category:', category));
+  form.appendChild(ruleField('Per month:', amount));
+  form.appendChild(ruleField('Rollover:', rollover));
+  form.appendChild(ruleButton('Add Budget', () => {
+    const name = category.value.trim();
+    if (!name) return alert('Please choose a category.');
+    if (!(Number(amount.value) > 0)) return alert('Please enter a monthly amount greater than zero.');
+    recordAction(`Add budget for ${name}`, () => setBudget(name, amount.value, rollover.checked));
+    afterChange();
+  }));
+  details.appendChild(form);
+
+  container.appendChild(details);
+}
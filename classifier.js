@@ -0,0 +1,136 @@
+// ==== CATEGORY SUGGESTIONS ====
+// A small naive Bayes classifier trained in the browser on the transactions
+// that already have a category. It suggests a category, with a confidence,
+// for each Uncategorized row. Accepted suggestions and hand-set categories are
+// saved as manual overrides, and those rows count extra in training, so the
+// model learns from corrections without storing anything of its own.
+
+// Suggestions below this probability are not shown
+const CLASSIFIER_MIN_CONFIDENCE = 0.5;
+// Rows categorized by hand count this many times in training
+const CLASSIFIER_MANUAL_WEIGHT = 3;
+
+// Merchant tokens plus coarse sign and size markers
+function classifierFeatures(txn) {
+  const amount = Number(txn.Amount);
+  const size = Math.round(Math.log10(Math.abs(amount) || 1) * 2);
+  return [
+    ...extractMerchantCandidates(txn.Description),
+    amount < 0 ? '#expense' : '#income',
+    `#size${size}`
+  ];
+}
+
+/**
+ * Builds a model from categorized rows, leaving out Uncategorized and split
+ * lines (their tokens belong to several categories at once).
+ * Returns { classes: { [category]: { docs, total, counts } }, vocab, docs }.
+ */
+function trainClassifier(categorized) {
+  const model = { classes: {}, vocab: new Set(), docs: 0 };
+  Object.entries(categorized).forEach(([category, rows]) => {
+    if (category === 'Uncategorized') return;
+    rows.forEach(txn => {
+      if (txn.Split) return;
+      const weight = txn.Manual ? CLASSIFIER_MANUAL_WEIGHT : 1;
+      const c = model.classes[category] = model.classes[category] || { docs: 0, total: 0, counts: {} };
+      c.docs += weight;
+      model.docs += weight;
+      classifierFeatures(txn).forEach(f => {
+        c.counts[f] = (c.counts[f] || 0) + weight;
+        c.total += weight;
+        model.vocab.add(f);
+      });
+    });
+  });
+  return model;
+}
+
+/**
+ * Returns { category, confidence } for one row, or null when none of its
+ * merchant tokens have been seen before. Confidence is the posterior
+ * probability of the best category (Laplace smoothing).
+ */
+function classify(model, txn) {
+  const features = classifierFeatures(txn);
+  if (!features.some(f => !f.startsWith('#') && model.vocab.has(f))) return null;
+
+  const vocabSize = model.vocab.size;
+  const scores = Object.entries(model.classes).map(([category, c]) => {
+    let score = Math.log(c.docs / model.docs);
+    features.forEach(f => {
+      score += Math.log(((c.counts[f] || 0) + 1) / (c.total + vocabSize));
+    });
+    return [category, score];
+  });
+  if (!scores.length) return null;
+
+  const best = Math.max(...scores.map(([, s]) => s));
+  const sum = scores.reduce((acc, [, s]) => acc + Math.exp(s - best), 0);
+  const [category, score] = scores.find(([, s]) => s === best);
+  return { category, confidence: Math.exp(score - best) / sum };
+}
+
+// { [Id]: { category, confidence } } for the Uncategorized rows worth suggesting
+function suggestCategories(categorized) {
+  const uncategorized = categorized.Uncategorized || [];
+  const suggestions = {};
+  if (!uncategorized.length) return suggestions;
+
+  const model = trainClassifier(categorized);
+  uncategorized.forEach(txn => {
+    const s = classify(model, txn);
+    if (s && s.confidence >= CLASSIFIER_MIN_CONFIDENCE) suggestions[txn.Id] = s;
+  });
+  return suggestions;
+}
+
+// Saves suggestions as manual overrides, grouped by category
+function acceptSuggestions(ids, suggestions) {
+  const byCategory = {};
+  ids.forEach(id => {
+    const s = suggestions[id];
+    if (s) (byCategory[s.category] = byCategory[s.category] || []).push(id);
+  });
+  Object.entries(byCategory).forEach(([category, catIds]) => setOverrides(catIds, category));
+}
+
+function suggestionLabel(s) {
+  return `${s.category} (${Math.round(s.confidence * 100)}%)`;
+}
+
+// Bulk accept controls shown above the Uncategorized table
+function buildSuggestionBar(suggestions) {
+  const ids = Object.keys(suggestions);
+  const bar = document.createElement('div');
+  bar.style.margin = '0.5rem 0';
+  if (!ids.length) return bar;
+
+  const threshold = document.createElement('select');
+  [[0.9, '90%'], [0.75, '75%'], [CLASSIFIER_MIN_CONFIDENCE, `${CLASSIFIER_MIN_CONFIDENCE * 100}%`]].forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    threshold.appendChild(opt);
+  });
+
+  const acceptBtn = document.createElement('button');
+  const matching = () => ids.filter(id => suggestions[id].confidence >= Number(threshold.value));
+  const updateLabel = () => { acceptBtn.textContent = `Accept ${matching().length} Suggestion(s)`; };
+  threshold.addEventListener('change', updateLabel);
+  updateLabel();
+
+  acceptBtn.onclick = () => {
+    const chosen = matching();
+    if (!chosen.length) return alert('No suggestions at that confidence.');
+    recordAction(`Accept ${chosen.length} suggestion(s)`, () => acceptSuggestions(chosen, suggestions));
+    refreshResults();
+  };
+
+  bar.appendChild(document.createTextNode(`${ids.length} suggested categor${ids.length === 1 ? 'y' : 'ies'}. ` +
+    'Accept all with confidence of at least '));
+  bar.appendChild(threshold);
+  bar.appendChild(document.createTextNode(' '));
+  bar.appendChild(acceptBtn);
+  return bar;
+}
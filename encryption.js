@@ -0,0 +1,267 @@
+// ==== PASSPHRASE ENCRYPTION ====
+// Opt-in encryption of everything stored in this browser. A key is derived
+// from the passphrase with PBKDF2 (SHA-256) and used for AES-GCM; the
+// passphrase and key are never stored. storage.js does the encrypting; this
+// file holds the crypto helpers, the lock screen, auto-lock and the settings
+// panel.
+
+const ENCRYPTION_ITERATIONS = 310000;
+const ENCRYPTION_CHECK = 'finance-sorter';
+const PASSPHRASE_MIN_LENGTH = 8;
+const AUTO_LOCK_CHOICES = [[5, '5 minutes'], [15, '15 minutes'], [30, '30 minutes'], [60, '1 hour'], [0, 'Never']];
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+function toBase64(bytes) {
+  let s = '';
+  new Uint8Array(bytes).forEach(b => { s += String.fromCharCode(b); });
+  return btoa(s);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveStorageKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Encrypts any JSON value into { iv, data } with a fresh random IV
+async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+// Throws when the key is wrong or the data was altered
+async function decryptJSON(key, box) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(box.iv) }, key, fromBase64(box.data));
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+// New salt, key and check value for a passphrase
+async function createEncryption(passphrase, autoLockMinutes) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveStorageKey(passphrase, salt, ENCRYPTION_ITERATIONS);
+  const check = await encryptJSON(key, ENCRYPTION_CHECK);
+  return { meta: { salt, iterations: ENCRYPTION_ITERATIONS, check, autoLockMinutes }, key };
+}
+
+// Returns an error message for an unusable new passphrase, or ''
+function checkNewPassphrase(passphrase, confirmation) {
+  if (passphrase.length < PASSPHRASE_MIN_LENGTH) {
+    return `Please use a passphrase of at least ${PASSPHRASE_MIN_LENGTH} characters.`;
+  }
+  if (passphrase !== confirmation) return 'The passphrases do not match.';
+  return '';
+}
+
+// True when the passphrase opens the current encryption
+async function verifyPassphrase(passphrase) {
+  const meta = getEncryptionMeta();
+  try {
+    await decryptJSON(await deriveStorageKey(passphrase, meta.salt, meta.iterations), meta.check);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Locking reloads the page once pending writes finish, which drops the key
+// and every decrypted value from memory
+async function lockNow() {
+  await storageIdle();
+  location.reload();
+}
+
+let autoLockTimer = null;
+
+function resetAutoLock() {
+  clearTimeout(autoLockTimer);
+  const meta = getEncryptionMeta();
+  if (!meta || !meta.autoLockMinutes || isStorageLocked()) return;
+  autoLockTimer = setTimeout(lockNow, meta.autoLockMinutes * 60000);
+}
+
+function startAutoLock() {
+  ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(type => {
+    document.addEventListener(type, resetAutoLock, { passive: true });
+  });
+  resetAutoLock();
+}
+
+/**
+ * Covers the page with the unlock form. Resolves once the passphrase has
+ * decrypted the stored data.
+ */
+function showLockScreen() {
+  const screen = document.createElement('div');
+  screen.id = 'lock-screen';
+  Object.assign(screen.style, {
+    position: 'fixed', top: '0', left: '0', right: '0', bottom: '0', zIndex: '1000',
+    background: '#f9f9f9', display: 'flex', alignItems: 'center', justifyContent: 'center'
+  });
+
+  return new Promise(resolve => {
+    const box = document.createElement('form');
+    Object.assign(box.style, { background: '#fff', border: '1px solid #ccc', padding: '2rem', minWidth: '20rem' });
+
+    const heading = document.createElement('h2');
+    heading.textContent = '🔒 Finance Sorter is Locked';
+    box.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Your stored transactions and rules are encrypted. Enter your passphrase to unlock them.';
+    box.appendChild(intro);
+
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'current-password';
+    input.style.width = '100%';
+    box.appendChild(input);
+
+    const error = document.createElement('p');
+    error.style.color = '#c62828';
+    box.appendChild(error);
+
+    const unlockBtn = document.createElement('button');
+    unlockBtn.type = 'submit';
+    unlockBtn.textContent = 'Unlock';
+    box.appendChild(unlockBtn);
+
+    const note = document.createElement('p');
+    note.style.fontSize = '0.85rem';
+    note.style.color = '#666';
+    note.textContent = 'A forgotten passphrase cannot be recovered. Restore a backup or clear this site\'s data to start over.';
+    box.appendChild(note);
+
+    box.addEventListener('submit', async e => {
+      e.preventDefault();
+      unlockBtn.disabled = true;
+      error.textContent = '';
+      let ok;
+      try {
+        ok = await unlockStorage(input.value);
+      } catch (err) {
+        console.error(err);
+        unlockBtn.disabled = false;
+        error.textContent = 'The passphrase is correct, but some stored data could not be decrypted. ' +
+          'Restore a backup or clear this site\'s data to start over.';
+        return;
+      }
+      unlockBtn.disabled = false;
+      if (!ok) {
+        error.textContent = 'That passphrase is not correct.';
+        input.select();
+        return;
+      }
+      screen.remove();
+      resolve();
+    });
+
+    screen.appendChild(box);
+    document.body.appendChild(screen);
+    input.focus();
+  });
+}
+
+function passwordInput(placeholder) {
+  const input = ruleInput('', 'password', '14rem');
+  input.placeholder = placeholder;
+  return input;
+}
+
+function renderEncryptionPanel(open) {
+  const container = document.getElementById('encryption-panel');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  const summary = document.createElement('summary');
+  summary.textContent = isStorageEncrypted() ? 'Passphrase Lock (on)' : 'Passphrase Lock';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  details.appendChild(intro);
+
+  if (!isStorageEncrypted()) {
+    intro.textContent = 'Encrypt the transactions, rules and settings stored in this browser with a passphrase. ' +
+      'You will need it every time the page opens. A forgotten passphrase cannot be recovered, so download a ' +
+      'backup first.';
+    const pass = passwordInput('Passphrase');
+    const confirmation = passwordInput('Repeat passphrase');
+    details.appendChild(ruleField('Passphrase:', pass));
+    details.appendChild(ruleField('Repeat:', confirmation));
+    details.appendChild(ruleButton('Turn On Encryption', async () => {
+      const error = checkNewPassphrase(pass.value, confirmation.value);
+      if (error) return alert(error);
+      const { meta, key } = await createEncryption(pass.value, DEFAULT_AUTO_LOCK_MINUTES);
+      await rewriteStorage(meta, key);
+      startAutoLock();
+      renderEncryptionPanel(true);
+      alert('Stored data is now encrypted.');
+    }));
+    container.appendChild(details);
+    return;
+  }
+
+  intro.textContent = 'Stored data is encrypted with your passphrase. The page locks itself after a period ' +
+    'without activity; locking clears the decrypted data from memory.';
+
+  const meta = getEncryptionMeta();
+  const autoLock = ruleSelect(AUTO_LOCK_CHOICES, meta.autoLockMinutes || 0);
+  autoLock.addEventListener('change', async () => {
+    await saveEncryptionMeta({ ...getEncryptionMeta(), autoLockMinutes: Number(autoLock.value) });
+    resetAutoLock();
+  });
+  details.appendChild(ruleField('Lock after inactivity:', autoLock));
+  details.appendChild(ruleButton('Lock Now', lockNow));
+
+  const changeHeading = document.createElement('h4');
+  changeHeading.textContent = 'Change Passphrase';
+  details.appendChild(changeHeading);
+  const currentPass = passwordInput('Current passphrase');
+  const nextPass = passwordInput('New passphrase');
+  const nextConfirm = passwordInput('Repeat new passphrase');
+  details.appendChild(ruleField('Current:', currentPass));
+  details.appendChild(ruleField('New:', nextPass));
+  details.appendChild(ruleField('Repeat:', nextConfirm));
+  details.appendChild(ruleButton('Change Passphrase', async () => {
+    if (!(await verifyPassphrase(currentPass.value))) return alert('The current passphrase is not correct.');
+    const error = checkNewPassphrase(nextPass.value, nextConfirm.value);
+    if (error) return alert(error);
+    const { meta: nextMeta, key } = await createEncryption(nextPass.value, getEncryptionMeta().autoLockMinutes);
+    await rewriteStorage(nextMeta, key);
+    renderEncryptionPanel(true);
+    alert('Passphrase changed.');
+  }));
+
+  const offHeading = document.createElement('h4');
+  offHeading.textContent = 'Turn Off Encryption';
+  details.appendChild(offHeading);
+  const offPass = passwordInput('Current passphrase');
+  details.appendChild(ruleField('Passphrase:', offPass));
+  details.appendChild(ruleButton('Turn Off Encryption', async () => {
+    if (!(await verifyPassphrase(offPass.value))) return alert('The passphrase is not correct.');
+    if (!confirm('Store your data in this browser without encryption?')) return;
+    await rewriteStorage(null, null);
+    clearTimeout(autoLockTimer);
+    renderEncryptionPanel(true);
+  }));
+
+  container.appendChild(details);
+}
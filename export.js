@@ -0,0 +1,244 @@
+// ==== EXPORT ====
+// Downloads the categorized transactions and the per-category summary as
+// CSV, JSON or an Excel workbook (.xlsx). Everything is built in the browser
+// from the output of categorizeTransactions.
+
+const EXPORT_COLUMNS = [
+  'Date', 'Amount', 'Description', 'Category', 'Notes', 'Tags', 'Reimbursable', 'Tax Deductible', 'Source', 'Account'
+];
+const SUMMARY_COLUMNS = ['Category', 'Transactions', 'Income', 'Expenses', 'Total'];
+
+// One flat row per transaction (or split line), sorted by date
+function exportRows(categorized) {
+  const rows = [];
+  Object.entries(categorized).forEach(([category, txns]) => {
+    txns.forEach(t => {
+      const notes = [t.Note];
+      if (t.Split) notes.push(`Split ${t.Split.index}/${t.Split.of} of ${t.Split.total.toFixed(2)}`, t.Split.note);
+      if (t.Manual) notes.push('Manual category');
+      if (t.Transfer) notes.push(`Transfer ${t.Amount < 0 ? 'to' : 'from'} ${t.Transfer.account}`);
+      rows.push({
+        Date: t.Date,
+        Amount: Number(t.Amount.toFixed(2)),
+        Description: t.Description,
+        Category: category,
+        Notes: notes.filter(Boolean).join('; '),
+        Tags: (t.Tags || []).join(', '),
+        Reimbursable: t.Reimbursable ? 'Yes' : '',
+        'Tax Deductible': t.Deductible ? 'Yes' : '',
+        Source: t.Source || '',
+        Account: t.Account || ''
+      });
+    });
+  });
+  return rows.sort((a, b) => a.Date.localeCompare(b.Date) || a.Category.localeCompare(b.Category));
+}
+
+function exportSummary(categorized) {
+  return Object.keys(categorized).sort((a, b) => a.localeCompare(b)).map(category => {
+    const txns = categorized[category];
+    const income = txns.filter(t => t.Amount > 0).reduce((sum, t) => sum + t.Amount, 0);
+    const expenses = txns.filter(t => t.Amount < 0).reduce((sum, t) => sum + t.Amount, 0);
+    return {
+      Category: category,
+      Transactions: txns.length,
+      Income: Number(income.toFixed(2)),
+      Expenses: Number(expenses.toFixed(2)),
+      Total: Number((income + expenses).toFixed(2))
+    };
+  });
+}
+
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFileName(kind, ext) {
+  return `finance-sorter-${kind}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+// ==== XLSX ====
+// A workbook is a zip of a few XML parts. Files are stored uncompressed,
+// which every spreadsheet app accepts.
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, text }] -> Uint8Array of a zip archive
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  const header = (size, fields) => {
+    const buf = new DataView(new ArrayBuffer(size));
+    fields.forEach(([pos, bytes, value]) => {
+      if (bytes === 2) buf.setUint16(pos, value, true);
+      else buf.setUint32(pos, value, true);
+    });
+    return new Uint8Array(buf.buffer);
+  };
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.text);
+    const crc = crc32(data);
+    // Fields shared by both headers, from the flags field on:
+    // UTF-8 names, stored, 1980-01-01 00:00, crc, sizes, name length
+    const common = [[0, 2, 0x0800], [2, 2, 0], [4, 2, 0], [6, 2, 33], [8, 4, crc], [12, 4, data.length],
+      [16, 4, data.length], [20, 2, name.length]];
+
+    const local = header(30, [[0, 4, 0x04034B50], [4, 2, 20], ...common.map(([p, b, v]) => [p + 6, b, v])]);
+    parts.push(local, name, data);
+
+    central.push(header(46, [[0, 4, 0x02014B50], [4, 2, 20], [6, 2, 20],
+      ...common.map(([p, b, v]) => [p + 8, b, v]), [42, 4, offset]]), name);
+    offset += local.length + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, p) => sum + p.length, 0);
+  const end = header(22, [[0, 4, 0x06054B50], [8, 2, files.length], [10, 2, files.length],
+    [12, 4, centralSize], [16, 4, offset]]);
+
+  const all = [...parts, ...central, end];
+  const out = new Uint8Array(all.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  all.forEach(p => { out.set(p, pos); pos += p.length; });
+  return out;
+}
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetXml(columns, rows) {
+  const cell = (value, ref) => typeof value === 'number'
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value == null ? '' : value)}</t></is></c>`;
+  const line = (values, r) =>
+    `<row r="${r}">${values.map((v, i) => cell(v, `${columnName(i)}${r}`)).join('')}</row>`;
+  const body = [line(columns, 1), ...rows.map((row, i) => line(columns.map(c => row[c]), i + 2))].join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+/**
+ * Builds an .xlsx workbook. sheets: [{ name, columns, rows }] where rows are
+ * objects keyed by column name; numbers stay numeric.
+ */
+function buildXlsx(sheets) {
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ' +
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+          'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${rel}"><sheets>` +
+        sheets.map((s, i) => `<sheet name="${xmlEscape(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${rel}/worksheet" ` +
+          `Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        '</Relationships>'
+    },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, text: sheetXml(s.columns, s.rows) }))
+  ];
+  return buildZip(files);
+}
+
+function buildExportBar(categorized) {
+  const bar = document.createElement('div');
+  bar.style.margin = '1rem 0';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Export';
+  bar.appendChild(heading);
+
+  const button = (text, onClick) => {
+    const btn = document.createElement('button');
+    btn.textContent = text;
+    btn.style.marginRight = '0.5rem';
+    btn.onclick = onClick;
+    bar.appendChild(btn);
+  };
+
+  button('Transactions (CSV)', () => {
+    downloadFile(exportFileName('transactions', 'csv'),
+      Papa.unparse(exportRows(categorized), { columns: EXPORT_COLUMNS, escapeFormulae: true }), 'text/csv');
+  });
+  button('Category Summary (CSV)', () => {
+    downloadFile(exportFileName('summary', 'csv'),
+      Papa.unparse(exportSummary(categorized), { columns: SUMMARY_COLUMNS, escapeFormulae: true }), 'text/csv');
+  });
+  button('Everything (JSON)', () => {
+    const json = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      transactions: exportRows(categorized),
+      summary: exportSummary(categorized)
+    }, null, 2);
+    downloadFile(exportFileName('export', 'json'), json, 'application/json');
+  });
+  button('Workbook (Excel .xlsx)', () => {
+    const xlsx = buildXlsx([
+      { name: 'Transactions', columns: EXPORT_COLUMNS, rows: exportRows(categorized) },
+      { name: 'Summary', columns: SUMMARY_COLUMNS, rows: exportSummary(categorized) }
+    ]);
+    downloadFile(exportFileName('export', 'xlsx'), xlsx,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  });
+
+  return bar;
+}
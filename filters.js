@@ -0,0 +1,172 @@
+// ==== RESULTS FILTERS ====
+// The toolbar above the results: text search, date and amount ranges,
+// categories, income/expense, column sorting and a flat "all transactions"
+// view. Filters apply to the categorized rows (split lines one by one), so the
+// subtotals, summary and exports below them only count what matches.
+
+const RESULTS_SORT_COLUMNS = ['Date', 'Amount', 'Description', 'Category'];
+const RESULTS_KINDS = [['all', 'Income and expenses'], ['income', 'Income only'], ['expense', 'Expenses only']];
+const RESULTS_FLAGS = [['', 'Any'], ['reimbursable', 'Reimbursable'], ['deductible', 'Tax-deductible']];
+
+function defaultResultsFilter() {
+  return {
+    text: '', from: '', to: '', minAmount: '', maxAmount: '', categories: [], tags: [], accounts: [], flag: '', kind: 'all',
+    sort: 'Date', descending: false, flat: false, collapsed: []
+  };
+}
+
+// Current toolbar settings; kept when the results are re-rendered
+let RESULTS_FILTER = defaultResultsFilter();
+
+// True when any setting that hides rows differs from the default
+function isFilterActive(filter) {
+  const blank = defaultResultsFilter();
+  return ['text', 'from', 'to', 'minAmount', 'maxAmount', 'flag', 'kind'].some(k => String(filter[k]).trim() !== blank[k]) ||
+    filter.categories.length > 0 || filter.tags.length > 0 || filter.accounts.length > 0;
+}
+
+// Text matches the description or note. Amount limits compare the size of
+// the amount, ignoring its sign. A chosen category includes the ones inside
+// it. Any one of the chosen tags is enough.
+function matchesFilter(txn, category, filter) {
+  const text = filter.text.trim().toUpperCase();
+  if (text && !`${txn.Description} ${txn.Note || ''}`.toUpperCase().includes(text)) return false;
+  if (filter.from && txn.Date < filter.from) return false;
+  if (filter.to && txn.Date > filter.to) return false;
+  const size = Math.abs(txn.Amount);
+  if (!isBlank(filter.minAmount) && size < Number(filter.minAmount)) return false;
+  if (!isBlank(filter.maxAmount) && size > Number(filter.maxAmount)) return false;
+  if (filter.categories.length && !categoryPath(category).some(c => filter.categories.includes(c))) return false;
+  if (filter.accounts.length && !filter.accounts.includes(txn.Account)) return false;
+  if (filter.tags.length && !(txn.Tags || []).some(t => filter.tags.includes(t))) return false;
+  if (filter.flag === 'reimbursable' && !txn.Reimbursable) return false;
+  if (filter.flag === 'deductible' && !txn.Deductible) return false;
+  if (filter.kind === 'income' && txn.Amount <= 0) return false;
+  if (filter.kind === 'expense' && txn.Amount >= 0) return false;
+  return true;
+}
+
+// Rows ordered by the chosen column; ties fall back to date, then description
+function sortTransactions(rows, filter) {
+  const by = {
+    Date: (a, b) => a.Date.localeCompare(b.Date),
+    Amount: (a, b) => a.Amount - b.Amount,
+    Description: (a, b) => a.Description.localeCompare(b.Description),
+    Category: (a, b) => (a.Category || '').localeCompare(b.Category || '')
+  };
+  const dir = filter.descending ? -1 : 1;
+  return rows.slice().sort((a, b) =>
+    dir * by[filter.sort](a, b) || by.Date(a, b) || by.Description(a, b)
+  );
+}
+
+/**
+ * Applies a filter to categorizeTransactions output. Returns the same shape
+ * with non-matching rows (and categories left empty) removed and each
+ * category's rows sorted.
+ */
+function filterCategorized(categorized, filter) {
+  const shown = {};
+  Object.entries(categorized).forEach(([category, rows]) => {
+    const kept = rows.filter(t => matchesFilter(t, category, filter));
+    if (kept.length) shown[category] = sortTransactions(kept, filter);
+  });
+  return shown;
+}
+
+// Every row in one sorted list, each tagged with its Category
+function flattenCategorized(categorized, filter) {
+  const rows = Object.entries(categorized).flatMap(([category, txns]) => txns.map(t => ({ ...t, Category: category })));
+  return sortTransactions(rows, filter);
+}
+
+// Header cells for a results table; sortable columns toggle the sort on click.
+// Returns the header cells.
+function buildSortHeader(table, columns, onChange) {
+  const thead = table.insertRow();
+  return columns.map(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    if (RESULTS_SORT_COLUMNS.includes(h)) {
+      th.style.cursor = 'pointer';
+      th.title = `Sort by ${h.toLowerCase()}`;
+      if (RESULTS_FILTER.sort === h) th.textContent += RESULTS_FILTER.descending ? ' ▼' : ' ▲';
+      th.onclick = () => {
+        RESULTS_FILTER.descending = RESULTS_FILTER.sort === h ? !RESULTS_FILTER.descending : false;
+        RESULTS_FILTER.sort = h;
+        onChange();
+      };
+    }
+    thead.appendChild(th);
+    return th;
+  });
+}
+
+/**
+ * Builds the filter toolbar for the given categories. Every change updates
+ * RESULTS_FILTER and calls onChange; Reset re-renders the whole results view.
+ */
+function buildResultsToolbar(categories, onChange) {
+  const bar = document.createElement('div');
+  Object.assign(bar.style, { margin: '1rem 0', padding: '0.75rem', border: '1px solid #ddd', background: '#fafafa' });
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Find Transactions';
+  heading.style.marginTop = '0';
+  bar.appendChild(heading);
+
+  const f = RESULTS_FILTER;
+  // Drop saved categories that no longer exist
+  f.categories = f.categories.filter(c => categories.includes(c));
+
+  const bind = (control, field, event = 'input', read = () => control.value) => {
+    control.addEventListener(event, () => {
+      f[field] = read();
+      onChange();
+    });
+    return control;
+  };
+
+  const text = bind(ruleInput(f.text, 'search', '14rem'), 'text');
+  text.placeholder = 'Description or note contains...';
+  bar.appendChild(ruleField('Search:', text));
+  bar.appendChild(ruleField('From:', bind(ruleInput(f.from, 'date', '9rem'), 'from', 'change')));
+  bar.appendChild(ruleField('To:', bind(ruleInput(f.to, 'date', '9rem'), 'to', 'change')));
+  bar.appendChild(ruleField('Amount from:', bind(ruleInput(f.minAmount, 'number'), 'minAmount')));
+  bar.appendChild(ruleField('to:', bind(ruleInput(f.maxAmount, 'number'), 'maxAmount')));
+  bar.appendChild(ruleField('Show:', bind(ruleSelect(RESULTS_KINDS, f.kind), 'kind', 'change')));
+
+  bar.appendChild(ruleField('Flag:', bind(ruleSelect(RESULTS_FLAGS, f.flag), 'flag', 'change')));
+
+  // Multi-selects: pick none to show everything
+  const multiSelect = (label, field, values, noun) => {
+    const select = ruleSelect(values.map(v => [v, v]), '');
+    select.multiple = true;
+    select.size = Math.min(5, Math.max(2, values.length));
+    select.title = `Hold Ctrl (or Cmd) to pick several; pick none to show every ${noun}`;
+    Array.from(select.options).forEach(opt => { opt.selected = f[field].includes(opt.value); });
+    bind(select, field, 'change', () => Array.from(select.options).filter(o => o.selected).map(o => o.value));
+    const labelEl = ruleField(label, select);
+    labelEl.style.verticalAlign = 'top';
+    bar.appendChild(labelEl);
+  };
+  multiSelect('Categories:', 'categories', categories, 'category');
+  const tags = allTags();
+  f.tags = f.tags.filter(t => tags.includes(t));
+  if (tags.length) multiSelect('Tags:', 'tags', tags, 'tag');
+  const accounts = knownAccounts(CURRENT_ROWS || []);
+  f.accounts = f.accounts.filter(a => accounts.includes(a));
+  if (accounts.length > 1) multiSelect('Accounts:', 'accounts', accounts, 'account');
+
+  const flat = document.createElement('input');
+  flat.type = 'checkbox';
+  flat.checked = f.flat;
+  bar.appendChild(ruleField('All transactions in one table', bind(flat, 'flat', 'change', () => flat.checked)));
+
+  bar.appendChild(ruleButton('Reset Filters', () => {
+    RESULTS_FILTER = { ...defaultResultsFilter(), sort: f.sort, descending: f.descending, flat: f.flat, collapsed: f.collapsed };
+    refreshResults();
+  }));
+
+  return bar;
+}
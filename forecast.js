@@ -0,0 +1,334 @@
+// ==== CASH-FLOW FORECAST ====
+// Projects the balance day by day for the next 30, 60 or 90 days from a
+// starting balance, the recurring income and bills found by detectRecurring,
+// and one-off planned expenses or deposits. Days that end below the alert
+// threshold are highlighted.
+//
+// Stored under 'forecast':
+// {
+//   startingBalance: 1520.33,   // null: use the Accounts total
+//   threshold: 200,             // highlight days ending below this
+//   days: 60,                   // 30, 60 or 90
+//   planned: [{ id, date: '2026-11-02', description: 'Car repair', amount: -450 }],
+//   excluded: ['expense|GEICO|Monthly']   // recurring series left out (forecastKey)
+// }
+
+const FORECAST_KEY = 'forecast';
+const FORECAST_HORIZONS = [[30, '30 days'], [60, '60 days'], [90, '90 days']];
+
+function getForecastSettings() {
+  return { startingBalance: null, threshold: 0, days: 30, planned: [], excluded: [], ...readStored(FORECAST_KEY, {}) };
+}
+
+function saveForecastSettings(settings) {
+  writeStored(FORECAST_KEY, settings);
+}
+
+// Today's 'YYYY-MM-DD' in the user's time zone; toISOString would give the
+// UTC date, which is already tomorrow on a US evening
+function localToday() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+let plannedIdCounter = 0;
+
+function newPlannedId() {
+  return `planned-${Date.now()}-${plannedIdCounter++}`;
+}
+
+// Identifies a recurring series across re-detection
+function forecastKey(series) {
+  return `${series.kind}|${series.merchant}|${series.cadence}`;
+}
+
+/**
+ * Expected dates of a recurring series from startDate to endDate, stepping
+ * from its last charge (so a charge on the 31st stays at month end).
+ */
+function expectedDates(series, startDate, endDate) {
+  const cadence = RECURRING_CADENCES.find(c => c.name === series.cadence);
+  const dates = [];
+  for (let n = 1; ; n++) {
+    const date = addToDate(series.lastDate, {
+      days: (cadence.step.days || 0) * n,
+      months: (cadence.step.months || 0) * n
+    });
+    if (date > endDate) return dates;
+    // Earlier dates are already in the starting balance
+    if (date >= startDate) dates.push(date);
+  }
+}
+
+/**
+ * Day-by-day balance from startDate for the given number of days.
+ * recurring: detectRecurring output; stopped series and excluded keys are
+ * skipped and each charge uses the series' latest amount. planned: one-off
+ * { date, description, amount } items. balanceAsOf is the day startingBalance
+ * is from; when that is before startDate (a balance taken from an old
+ * statement), everything expected in between is applied before the first day.
+ * Returns { startDate, endDate, days: [{ date, balance, items }], lowest,
+ * caughtUp }, where items are { description, amount, source } applied that
+ * day, lowest is the day with the smallest closing balance and caughtUp holds
+ * the items dated after balanceAsOf but before startDate.
+ */
+function forecastCashFlow(recurring, { startDate, startingBalance, balanceAsOf, days, planned = [], excluded = [] }) {
+  const endDate = addToDate(startDate, { days: days - 1 });
+  const from = balanceAsOf && balanceAsOf < startDate ? addToDate(balanceAsOf, { days: 1 }) : startDate;
+  const byDate = {};
+  const add = (date, item) => (byDate[date] = byDate[date] || []).push(item);
+
+  recurring
+    .filter(r => r.status !== 'stopped' && !excluded.includes(forecastKey(r)))
+    .forEach(r => expectedDates(r, from, endDate)
+      .forEach(date => add(date, { description: r.merchant, amount: r.lastAmount, source: r.cadence })));
+  planned
+    .filter(p => p.date >= from && p.date <= endDate)
+    .forEach(p => add(p.date, { description: p.description, amount: p.amount, source: 'Planned' }));
+
+  const caughtUp = Object.keys(byDate).filter(date => date < startDate).sort()
+    .flatMap(date => byDate[date].map(item => ({ date, ...item })));
+  let balance = startingBalance + caughtUp.reduce((sum, i) => sum + i.amount, 0);
+  const daily = [];
+  for (let date = startDate; date <= endDate; date = addToDate(date, { days: 1 })) {
+    const items = (byDate[date] || []).sort((a, b) => b.amount - a.amount);
+    balance += items.reduce((sum, i) => sum + i.amount, 0);
+    daily.push({ date, balance, items });
+  }
+  const lowest = daily.reduce((low, d) => (d.balance < low.balance ? d : low), daily[0]);
+  return { startDate, endDate, days: daily, lowest, caughtUp };
+}
+
+// Runs of consecutive days below the threshold: [{ from, to, lowest }]
+function daysBelow(forecast, threshold) {
+  const runs = [];
+  let run = null;
+  forecast.days.forEach(d => {
+    if (d.balance < threshold) {
+      if (!run) runs.push(run = { from: d.date, to: d.date, lowest: d.balance });
+      run.to = d.date;
+      run.lowest = Math.min(run.lowest, d.balance);
+    } else {
+      run = null;
+    }
+  });
+  return runs;
+}
+
+// Balance line with the threshold dashed; days below it are marked red
+function renderForecastChart(forecast, threshold) {
+  const width = 640;
+  const height = 240;
+  const pad = { top: 10, right: 10, bottom: 24, left: 70 };
+  const balances = forecast.days.map(d => d.balance);
+  const lo = Math.min(threshold, ...balances);
+  const hi = Math.max(threshold, ...balances);
+  const min = lo < 0 ? -niceMax(-lo) : 0;
+  const max = hi > 0 ? niceMax(hi) : min + 1;
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const x = i => pad.left + (plotW * i) / Math.max(1, forecast.days.length - 1);
+  const y = v => pad.top + plotH - ((v - min) / (max - min)) * plotH;
+
+  const svg = svgEl('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+  svg.style.maxWidth = '100%';
+  svg.style.background = '#fff';
+  for (let i = 0; i <= 4; i++) {
+    const v = min + ((max - min) * i) / 4;
+    svg.appendChild(svgEl('line', { x1: pad.left, x2: width - pad.right, y1: y(v), y2: y(v), stroke: '#e0e0e0' }));
+    svg.appendChild(svgText(pad.left - 6, y(v) + 4, `$${Math.round(v)}`, { 'text-anchor': 'end' }));
+  }
+  forecast.days.forEach((d, i) => {
+    if (i % 15 === 0) svg.appendChild(svgText(x(i), height - pad.bottom + 16, d.date.slice(5), { 'text-anchor': 'middle' }));
+  });
+
+  svg.appendChild(svgEl('line', {
+    x1: pad.left, x2: width - pad.right, y1: y(threshold), y2: y(threshold), stroke: '#c62828', 'stroke-dasharray': '4 3'
+  }));
+  svg.appendChild(svgEl('polyline', {
+    points: forecast.days.map((d, i) => `${x(i)},${y(d.balance)}`).join(' '),
+    fill: 'none',
+    stroke: '#1565c0',
+    'stroke-width': 2
+  }));
+  forecast.days.forEach((d, i) => {
+    if (!d.items.length && d.balance >= threshold) return;
+    const dot = svgEl('circle', { cx: x(i), cy: y(d.balance), r: 3, fill: d.balance < threshold ? '#c62828' : '#1565c0' });
+    const title = svgEl('title');
+    title.textContent = `${d.date}: $${d.balance.toFixed(2)}` + d.items.map(item => `\n${item.description} ${item.amount.toFixed(2)}`).join('');
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  const wrap = document.createElement('div');
+  wrap.appendChild(svg);
+  wrap.appendChild(chartLegend([['Projected balance', '#1565c0'], ['Alert threshold', '#c62828']]));
+  return wrap;
+}
+
+function renderForecast(rows, categorized, open) {
+  const container = document.getElementById('forecast');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+  if (!rows.length) return;
+
+  // Moving money between your own accounts doesn't change the total
+  const transferIds = new Set(Object.values(categorized).flat().filter(t => t.Transfer).map(t => t.Id));
+  const recurring = detectRecurring(rows.filter(r => !transferIds.has(r.Id))).filter(r => r.status !== 'stopped');
+  const settings = getForecastSettings();
+  const accountsTotal = accountBalances(rows, categorized).reduce((sum, a) => sum + a.balance, 0);
+  const startingBalance = settings.startingBalance === null ? accountsTotal : settings.startingBalance;
+  // The Accounts total is the balance at the end of the loaded statements
+  const ledgerEnd = getDateRange(rows).to;
+  const forecast = forecastCashFlow(recurring, {
+    ...settings,
+    startDate: localToday(),
+    startingBalance,
+    balanceAsOf: settings.startingBalance === null ? ledgerEnd : null
+  });
+  const below = daysBelow(forecast, settings.threshold);
+
+  const save = changes => {
+    saveForecastSettings({ ...getForecastSettings(), ...changes });
+    renderForecast(rows, categorized, true);
+  };
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  details.style.marginTop = '1rem';
+  const summary = document.createElement('summary');
+  summary.textContent = `Cash-Flow Forecast (lowest $${forecast.lowest.balance.toFixed(2)} on ${forecast.lowest.date}` +
+    (below.length ? `, below $${settings.threshold.toFixed(2)} on ${below.length === 1 ? '1 stretch' : `${below.length} stretches`})` : ')');
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  if (below.length) summary.style.color = '#c62828';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = `Projected balance from today (${forecast.startDate}) to ${forecast.endDate}, using the ` +
+    'recurring income and bills below at their latest amounts plus your planned items. Transfers between your ' +
+    'accounts are left out.';
+  if (forecast.caughtUp.length) {
+    const total = forecast.caughtUp.reduce((sum, i) => sum + i.amount, 0);
+    intro.textContent += ` The Accounts total is from ${ledgerEnd}, so the ${forecast.caughtUp.length} items expected ` +
+      `since then (${total < 0 ? '-' : '+'}$${Math.abs(total).toFixed(2)}) are applied before today. ` +
+      'Enter a current starting balance to skip this.';
+  }
+  details.appendChild(intro);
+
+  const horizon = ruleSelect(FORECAST_HORIZONS, settings.days);
+  horizon.addEventListener('change', () => save({ days: Number(horizon.value) }));
+  details.appendChild(ruleField('Look ahead:', horizon));
+
+  const start = ruleInput(settings.startingBalance, 'number', '8rem');
+  start.step = '0.01';
+  start.placeholder = accountsTotal.toFixed(2);
+  start.title = 'Leave blank to use the total of the Accounts section';
+  start.addEventListener('change', () => save({ startingBalance: isBlank(start.value) ? null : Number(normalizeAmount(start.value)) }));
+  details.appendChild(ruleField('Starting balance:', start));
+
+  const threshold = ruleInput(settings.threshold, 'number', '7rem');
+  threshold.step = '0.01';
+  threshold.addEventListener('change', () => save({ threshold: Number(normalizeAmount(threshold.value)) || 0 }));
+  details.appendChild(ruleField('Alert below:', threshold));
+
+  details.appendChild(renderForecastChart(forecast, settings.threshold));
+
+  if (below.length) {
+    const warning = document.createElement('ul');
+    warning.style.color = '#c62828';
+    below.forEach(run => {
+      const li = document.createElement('li');
+      li.textContent = (run.from === run.to ? run.from : `${run.from} to ${run.to}`) +
+        `: lowest $${run.lowest.toFixed(2)}`;
+      warning.appendChild(li);
+    });
+    details.appendChild(warning);
+  }
+
+  // Days with money in or out
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Date', 'Items', 'Change', 'Balance'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  forecast.days.filter(d => d.items.length).forEach(d => {
+    const row = table.insertRow();
+    if (d.balance < settings.threshold) row.style.background = '#ffebee';
+    row.insertCell().textContent = d.date;
+    row.insertCell().textContent = d.items.map(i => `${i.description} (${i.source}) ${i.amount.toFixed(2)}`).join('; ');
+    row.insertCell().textContent = d.items.reduce((sum, i) => sum + i.amount, 0).toFixed(2);
+    const balance = row.insertCell();
+    balance.textContent = d.balance.toFixed(2);
+    if (d.balance < settings.threshold) balance.style.color = '#c62828';
+  });
+  details.appendChild(table);
+
+  // Planned one-off items
+  const plannedHeading = document.createElement('h4');
+  plannedHeading.textContent = 'Planned Expenses and Deposits';
+  details.appendChild(plannedHeading);
+  const planned = settings.planned.slice().sort((a, b) => a.date.localeCompare(b.date));
+  if (planned.length) {
+    const list = document.createElement('table');
+    planned.forEach(p => {
+      const row = list.insertRow();
+      row.insertCell().textContent = p.date;
+      row.insertCell().textContent = p.description;
+      row.insertCell().textContent = p.amount.toFixed(2);
+      row.insertCell().appendChild(ruleButton('Remove', () => save({ planned: settings.planned.filter(x => x.id !== p.id) })));
+    });
+    details.appendChild(list);
+  }
+  const date = ruleInput('', 'date', '9rem');
+  const description = ruleInput('', 'text', '12rem');
+  description.placeholder = 'e.g., Car repair';
+  const amount = ruleInput('', 'number', '7rem');
+  amount.step = '0.01';
+  amount.min = '0';
+  const kind = ruleSelect([['expense', 'Expense'], ['income', 'Deposit']], 'expense');
+  details.appendChild(ruleField('Date:', date));
+  details.appendChild(ruleField('Description:', description));
+  details.appendChild(ruleField('Amount:', amount));
+  details.appendChild(kind);
+  details.appendChild(ruleButton('Add', () => {
+    const value = Math.abs(Number(normalizeAmount(amount.value)));
+    if (!date.value) return alert('Please choose a date.');
+    if (!value) return alert('Please enter an amount greater than zero.');
+    save({
+      planned: [...settings.planned, {
+        id: newPlannedId(),
+        date: date.value,
+        description: description.value.trim() || 'Planned',
+        amount: kind.value === 'expense' ? -value : value
+      }]
+    });
+  }));
+
+  // Recurring series, each of which can be left out
+  const recurringHeading = document.createElement('h4');
+  recurringHeading.textContent = 'Recurring Items Included';
+  details.appendChild(recurringHeading);
+  if (!recurring.length) {
+    const none = document.createElement('p');
+    none.textContent = 'No recurring income or bills found yet; load a few months of statements.';
+    details.appendChild(none);
+  }
+  recurring.forEach(r => {
+    const key = forecastKey(r);
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = !settings.excluded.includes(key);
+    box.addEventListener('change', () => save({
+      excluded: box.checked ? settings.excluded.filter(k => k !== key) : [...settings.excluded, key]
+    }));
+    const label = ruleField(`${r.merchant}, ${r.cadence.toLowerCase()}, ${r.lastAmount.toFixed(2)}`, box);
+    label.style.display = 'block';
+    details.appendChild(label);
+  });
+
+  container.appendChild(details);
+}
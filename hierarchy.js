@@ -0,0 +1,232 @@
+// ==== CATEGORY HIERARCHY ====
+// Categories stay plain names everywhere they are stored (rules, manual
+// categories, splits, budgets); nesting is a separate child -> parent map, so
+// Groceries and Dining can roll up into Food without changing what any rule
+// targets. A rule may target a parent as well as a leaf. Renaming or merging
+// a category rewrites every stored reference to it.
+//
+// Stored under 'categoryParents': { Groceries: 'Food', Dining: 'Food', Power: 'Utilities' }
+
+const CATEGORY_PARENTS_KEY = 'categoryParents';
+const CATEGORY_PATH_SEPARATOR = ' › ';
+
+function getCategoryParents() {
+  return readStored(CATEGORY_PARENTS_KEY, {});
+}
+
+function saveCategoryParents(parents) {
+  writeStored(CATEGORY_PARENTS_KEY, parents);
+}
+
+// The category and its ancestors, outermost first: ['Food', 'Groceries']
+function categoryPath(category, parents = getCategoryParents()) {
+  const path = [category];
+  let current = parents[category];
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = parents[current];
+  }
+  return path;
+}
+
+// 'Food › Groceries'
+function categoryLabel(category, parents) {
+  return categoryPath(category, parents).join(CATEGORY_PATH_SEPARATOR);
+}
+
+// True when category is ancestor or one of its parents, grandparents, ...
+function isInCategory(category, ancestor, parents) {
+  return categoryPath(category, parents).includes(ancestor);
+}
+
+// Sets a category's parent, or makes it top-level when parent is blank.
+// Returns a problem to show, or '' once saved.
+function setCategoryParent(category, parent) {
+  const parents = getCategoryParents();
+  if (!parent) {
+    delete parents[category];
+  } else {
+    if (isInCategory(parent, category, parents)) return `${parent} is inside ${category}, so it can't be its parent.`;
+    parents[category] = parent;
+  }
+  saveCategoryParents(parents);
+  return '';
+}
+
+/**
+ * Orders categories for display: each parent followed by its children,
+ * alphabetically, with Uncategorized last. Ancestors missing from the list are
+ * added so their rollups have a heading.
+ * Returns [{ category, parent, depth, children: [names] }].
+ */
+function categoryTree(categories, parents = getCategoryParents()) {
+  const all = new Set();
+  categories.forEach(c => categoryPath(c, parents).forEach(p => all.add(p)));
+
+  const childrenOf = {};
+  const parentOf = {};
+  all.forEach(c => {
+    // A loop (e.g. from an old backup) leaves its members at the top
+    const path = categoryPath(c, parents);
+    const parent = path.length > 1 && categoryPath(path[path.length - 2], parents).length === path.length - 1
+      ? path[path.length - 2] : '';
+    parentOf[c] = parent;
+    (childrenOf[parent] = childrenOf[parent] || []).push(c);
+  });
+
+  const order = (a, b) => {
+    if (a === 'Uncategorized') return 1;
+    if (b === 'Uncategorized') return -1;
+    return a.localeCompare(b);
+  };
+  const nodes = [];
+  const visit = (category, depth) => {
+    const children = (childrenOf[category] || []).sort(order);
+    nodes.push({ category, parent: parentOf[category], depth, children });
+    children.forEach(child => visit(child, depth + 1));
+  };
+  (childrenOf[''] || []).sort(order).forEach(c => visit(c, 0));
+  return nodes;
+}
+
+// Rows of categorizeTransactions output in a category and every category under it
+function categoryRollup(categorized, category, parents = getCategoryParents()) {
+  return Object.entries(categorized)
+    .filter(([c]) => isInCategory(c, category, parents))
+    .flatMap(([, rows]) => rows);
+}
+
+/**
+ * Renames a category wherever it is stored: user rules, manual categories,
+ * split lines, budgets, tax buckets, the hierarchy and the results filter.
+ * Built-in keywords can't change category, so the enabled ones for it are
+ * replaced by user rules, as Override does. When to already exists the two
+ * are merged; to keeps its own budget and parent. Run it inside recordAction
+ * so it can be undone.
+ */
+function renameCategory(from, to) {
+  const swap = c => (c === from ? to : c);
+
+  const builtIns = getBuiltInRules().filter(r => r.category === from && r.enabled !== false);
+  saveRules([
+    ...getRules().map(r => ({ ...r, category: swap(r.category) })),
+    ...builtIns.map(r => makeRule({ pattern: r.pattern, category: to }))
+  ]);
+  builtIns.forEach(r => setBuiltInEnabled(r.pattern, false));
+
+  const overrides = getOverrides();
+  Object.keys(overrides).forEach(id => { overrides[id] = swap(overrides[id]); });
+  saveOverrides(overrides);
+
+  const splits = getSplits();
+  Object.values(splits).forEach(lines => lines.forEach(l => { l.category = swap(l.category); }));
+  saveSplits(splits);
+
+  const budgets = getBudgets();
+  if (budgets[from]) {
+    if (!budgets[to]) budgets[to] = budgets[from];
+    delete budgets[from];
+    saveBudgets(budgets);
+  }
+
+  const buckets = getTaxBuckets();
+  if (buckets.some(b => b.categories.includes(from))) {
+    saveTaxBuckets(buckets.map(b => ({ ...b, categories: [...new Set(b.categories.map(swap))] })));
+  }
+
+  const parents = getCategoryParents();
+  const next = {};
+  Object.entries(parents).forEach(([child, parent]) => {
+    if (child === from && to in parents) return;
+    if (swap(child) !== swap(parent)) next[swap(child)] = swap(parent);
+  });
+  if (next[to] && isInCategory(next[to], to, next)) delete next[to];
+  saveCategoryParents(next);
+
+  RESULTS_FILTER.categories = [...new Set(RESULTS_FILTER.categories.map(swap))];
+  RESULTS_FILTER.collapsed = RESULTS_FILTER.collapsed.filter(c => c !== from);
+}
+
+// Every category that can be nested or renamed
+function editableCategories() {
+  return getRuleCategories().filter(c => c !== 'Uncategorized');
+}
+
+function afterCategoryChange() {
+  renderCategoriesPanel(true);
+  renderRulesPanel();
+  renderBudgetsPanel();
+  refreshResults();
+}
+
+function renderCategoriesPanel(open) {
+  const container = document.getElementById('categories-panel');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Category Groups';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'Put a category inside another (Groceries and Dining inside Food) to see subtotals for both. ' +
+    'Type a new name as the parent to create a group. Rules, budgets and tax buckets can use any level. ' +
+    'Rename changes the category in every rule, manual category, split, budget and tax bucket; renaming to an ' +
+    'existing category merges the two.';
+  details.appendChild(intro);
+
+  const parents = getCategoryParents();
+  const categories = editableCategories();
+  const listId = 'category-parents';
+  const datalist = document.createElement('datalist');
+  datalist.id = listId;
+  categories.forEach(c => {
+    const opt = document.createElement('option');
+    opt.value = c;
+    datalist.appendChild(opt);
+  });
+  details.appendChild(datalist);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Category', 'Inside', ''].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  categoryTree(categories, parents).forEach(node => {
+    const row = table.insertRow();
+    const name = row.insertCell();
+    name.textContent = node.category;
+    name.style.paddingLeft = `${0.5 + node.depth * 1.5}rem`;
+
+    const parent = ruleInput(parents[node.category] || '', 'text', '10rem');
+    parent.placeholder = '(top level)';
+    parent.setAttribute('list', listId);
+    parent.addEventListener('change', () => {
+      const problem = recordAction(`Move ${node.category}`, () => setCategoryParent(node.category, parent.value.trim()));
+      if (problem) alert(problem);
+      afterCategoryChange();
+    });
+    row.insertCell().appendChild(parent);
+
+    row.insertCell().appendChild(ruleButton('Rename / Merge', () => {
+      const to = (prompt(`New name for ${node.category} (an existing category merges the two):`, node.category) || '').trim();
+      if (!to || to === node.category) return;
+      if (to === 'Uncategorized') return alert('Uncategorized is for transactions no rule matches; pick another name.');
+      if (categories.includes(to) &&
+        !confirm(`Merge ${node.category} into ${to}? Every rule, manual category, split and budget for ` +
+          `${node.category} moves to ${to}.`)) return;
+      recordAction(`Rename ${node.category} to ${to}`, () => renameCategory(node.category, to));
+      afterCategoryChange();
+    }));
+  });
+  details.appendChild(table);
+
+  container.appendChild(details);
+}
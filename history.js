@@ -0,0 +1,122 @@
+// ==== UNDO / REDO ====
+// Categorization actions (assigning, clearing manual categories, accepting
+// suggestions, adding, changing or deleting rules, splitting transactions,
+// editing notes and tags, unmatching transfers, and changing groups, budgets,
+// tax buckets or category names) are recorded as before/after snapshots of
+// the stored rules, manual categories, splits, notes, rejected transfer pairs,
+// category groups, budgets and tax buckets. Every write to those has to go
+// through recordAction, or undoing an older action would silently put back
+// its old value. Undo puts the "before" back and redo the "after".
+// History lasts until the page closes.
+
+const HISTORY_LIMIT = 50;
+const HISTORY_KEYS = [
+  RULES_KEY, BUILT_IN_OVERRIDES_KEY, OVERRIDES_KEY, SPLITS_KEY, ANNOTATIONS_KEY,
+  CATEGORY_PARENTS_KEY, BUDGETS_KEY, TAX_BUCKETS_KEY
+];
+// Parts of a stored object that are snapshotted on their own. Opening
+// balances and remembered accounts share the 'accounts' record but are not
+// undoable, so undo must leave them as they are.
+const HISTORY_FIELDS = [
+  {
+    name: 'notTransfers',
+    read: () => getAccountSettings().notTransfers,
+    write: v => saveAccountSettings({ ...getAccountSettings(), notTransfers: v })
+  }
+];
+
+let undoStack = [];
+let redoStack = [];
+
+function historySnapshot() {
+  return Object.fromEntries([
+    ...HISTORY_KEYS.map(k => [k, readStored(k)]),
+    ...HISTORY_FIELDS.map(f => [f.name, f.read()])
+  ]);
+}
+
+function restoreSnapshot(snapshot) {
+  HISTORY_KEYS.forEach(k => {
+    if (snapshot[k] === undefined) removeStored(k);
+    else writeStored(k, snapshot[k]);
+  });
+  HISTORY_FIELDS.forEach(f => f.write(snapshot[f.name]));
+}
+
+/**
+ * Runs a synchronous action that changes rules or manual categories and
+ * records it under label, unless it changed nothing. Returns the action's
+ * result.
+ */
+function recordAction(label, action) {
+  const before = historySnapshot();
+  const result = action();
+  const after = historySnapshot();
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    undoStack.push({ label, before, after });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+  }
+  return result;
+}
+
+// Forgets every action, e.g. after a backup replaces what they changed
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+function afterHistoryChange() {
+  renderRulesPanel();
+  renderCategoriesPanel();
+  renderBudgetsPanel();
+  refreshResults();
+}
+
+function undoAction() {
+  const entry = undoStack.pop();
+  if (!entry) return;
+  restoreSnapshot(entry.before);
+  redoStack.push(entry);
+  afterHistoryChange();
+}
+
+function redoAction() {
+  const entry = redoStack.pop();
+  if (!entry) return;
+  restoreSnapshot(entry.after);
+  undoStack.push(entry);
+  afterHistoryChange();
+}
+
+// Undo and Redo buttons labelled with the action they would reverse or repeat
+function buildHistoryBar() {
+  const bar = document.createElement('div');
+  bar.style.margin = '0.5rem 0';
+
+  const last = undoStack[undoStack.length - 1];
+  const next = redoStack[redoStack.length - 1];
+  const undoBtn = ruleButton(last ? `↶ Undo: ${last.label}` : '↶ Undo', undoAction);
+  undoBtn.disabled = !last;
+  undoBtn.title = 'Ctrl+Z';
+  const redoBtn = ruleButton(next ? `↷ Redo: ${next.label}` : '↷ Redo', redoAction);
+  redoBtn.disabled = !next;
+  redoBtn.title = 'Ctrl+Shift+Z or Ctrl+Y';
+
+  bar.appendChild(undoBtn);
+  bar.appendChild(redoBtn);
+  return bar;
+}
+
+// Keyboard shortcuts, left to the browser while typing in a field
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName || '')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoAction();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoAction();
+  }
+});
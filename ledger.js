@@ -0,0 +1,341 @@
+// ==== TRANSACTION LEDGER ====
+// Every imported statement is merged into one persistent ledger so several
+// months (and several accounts) can be reviewed together.
+
+const LEDGER_KEY = 'ledger';
+
+function emptyLedger() {
+  return { statements: [], transactions: [] };
+}
+
+function getLedger() {
+  const stored = readStored(LEDGER_KEY);
+  if (stored) return ensureFingerprints(stored);
+
+  // Older versions only kept the most recent import under 'last-transactions'
+  const ledger = emptyLedger();
+  const legacy = readStored('last-transactions');
+  if (Array.isArray(legacy) && legacy.length) {
+    const info = { account: 'Previous import', profile: 'Unknown', fileName: 'last-transactions' };
+    mergeStatement(ledger, info, prepareStatement(info, legacy));
+  }
+  return ledger;
+}
+
+function saveLedger(ledger) {
+  writeStored(LEDGER_KEY, ledger);
+  removeStored('last-transactions');
+}
+
+function clearLedger() {
+  removeStored(LEDGER_KEY);
+  removeStored('last-transactions');
+}
+
+function accountForProfile(profile, fileName) {
+  const known = getProfile(profile);
+  if (known) return known.account || known.name;
+  return String(fileName || 'Unknown').replace(/\.[^.]+$/, '');
+}
+
+function getDateRange(rows) {
+  const dates = rows.map(r => r.Date).filter(Boolean).sort();
+  return { from: dates[0] || '', to: dates[dates.length - 1] || '' };
+}
+
+function statementKey(account, from, to) {
+  return `${account}|${from}|${to}`;
+}
+
+// ==== TRANSACTION FINGERPRINTS ====
+
+function fingerprintBase(account, row) {
+  return [account, row.Date, Number(row.Amount).toFixed(2), tokenizeDesc(row.Description).join(' ')].join('|');
+}
+
+/**
+ * Gives every row a stable Id: account, date, amount and normalized
+ * description, plus an occurrence index so two identical coffees on the same
+ * day in one statement stay two transactions. OFX rows use the bank's FITID.
+ */
+function assignFingerprints(rows, account) {
+  const seen = {};
+  return rows.map(row => {
+    if (row.FitId) return { ...row, Id: `${account}|fitid|${row.FitId}` };
+    const base = fingerprintBase(account, row);
+    seen[base] = (seen[base] || 0) + 1;
+    return { ...row, Id: `${base}#${seen[base]}` };
+  });
+}
+
+// Ledgers saved before fingerprints existed get Ids per statement on load
+function ensureFingerprints(ledger) {
+  if (ledger.transactions.every(t => t.Id)) return ledger;
+  const byStatement = {};
+  ledger.transactions.forEach(t => {
+    (byStatement[t.Statement] = byStatement[t.Statement] || []).push(t);
+  });
+  ledger.transactions = [].concat(...Object.values(byStatement).map(rows =>
+    assignFingerprints(rows, rows[0].Account)
+  ));
+  return ledger;
+}
+
+// Tags rows from one file with their account and fingerprint before merging
+function prepareStatement(info, rows) {
+  const tagged = rows.map(row => ({ ...row, Account: info.account, Profile: info.profile, Source: info.fileName }));
+  return assignFingerprints(tagged, info.account);
+}
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+/**
+ * Finds incoming rows that are probably the same transaction as one already
+ * in the ledger (or earlier in the same batch) without an identical fingerprint:
+ * - 'pending': same amount within 5 days where one side is Pending. The bank
+ *   often changes the date and description when a pending charge posts.
+ * - 'similar': same amount within 3 days sharing the first merchant keyword.
+ * Each existing row is paired at most once. Returns
+ * [{ kind, row, match, action }] with a suggested default action.
+ */
+function findLikelyDuplicates(ledger, statements) {
+  const pool = ledger.transactions.slice();
+  const ids = new Set(pool.map(t => t.Id));
+  const claimed = new Set();
+  const found = [];
+
+  for (const rows of statements) {
+    const incomingIds = new Set(rows.map(r => r.Id));
+    const candidates = pool.filter(t => !incomingIds.has(t.Id));
+
+    for (const row of rows) {
+      if (ids.has(row.Id)) continue; // exact repeat, skipped on merge
+
+      const merchant = extractMerchantCandidates(row.Description)[0];
+      const match = candidates.find(t => {
+        if (claimed.has(t.Id) || t.Account !== row.Account) return false;
+        if (Number(t.Amount).toFixed(2) !== Number(row.Amount).toFixed(2)) return false;
+        const days = daysBetween(t.Date, row.Date);
+        if ((t.Status === 'Pending') !== (row.Status === 'Pending')) return days <= 5;
+        return t.Source !== row.Source && days <= 3 && !!merchant &&
+          extractMerchantCandidates(t.Description)[0] === merchant;
+      });
+      if (!match) continue;
+
+      claimed.add(match.Id);
+      const kind = (match.Status === 'Pending') !== (row.Status === 'Pending') ? 'pending' : 'similar';
+      // Keep whichever side has posted
+      const action = kind === 'pending'
+        ? (row.Status === 'Pending' ? 'skip' : 'replace')
+        : 'skip';
+      found.push({ kind, row, match, action });
+    }
+
+    rows.forEach(r => { pool.push(r); ids.add(r.Id); });
+  }
+
+  return found;
+}
+
+/**
+ * Applies the reviewed duplicate decisions:
+ * 'skip' drops the incoming row, 'replace' drops the existing row in favor of
+ * the incoming one, 'keep' keeps both. Returns the number of replaced rows.
+ */
+function applyDuplicateDecisions(ledger, statements, decisions) {
+  const dropIncoming = new Set();
+  const dropExisting = new Set();
+  decisions.forEach(d => {
+    if (d.action === 'skip') dropIncoming.add(d.row);
+    if (d.action === 'replace') dropExisting.add(d.match);
+  });
+
+  ledger.transactions = ledger.transactions.filter(t => !dropExisting.has(t));
+  statements.forEach(s => {
+    s.rows = s.rows.filter(r => !dropIncoming.has(r) && !dropExisting.has(r));
+  });
+  return dropExisting.size;
+}
+
+/**
+ * Adds one prepared statement's rows to the ledger. Rows whose fingerprint is
+ * already in the ledger are skipped, so re-importing a statement (or one that
+ * overlaps an earlier one) does not count anything twice. A repeat that has
+ * now posted updates the stored row's status.
+ * Returns a summary: { fileName, account, from, to, status, added, skipped }.
+ */
+function mergeStatement(ledger, info, rows) {
+  const { from, to } = getDateRange(rows);
+  const account = info.account;
+  const key = statementKey(account, from, to);
+  const previous = ledger.statements.find(s => s.key === key);
+
+  const byId = {};
+  ledger.transactions.forEach(t => { byId[t.Id] = t; });
+
+  let added = 0;
+  let skipped = 0;
+  for (const row of rows) {
+    const existing = byId[row.Id];
+    if (existing) {
+      if (existing.Status === 'Pending' && row.Status && row.Status !== 'Pending') {
+        existing.Status = row.Status;
+      }
+      skipped++;
+      continue;
+    }
+    const txn = { ...row, Statement: key };
+    ledger.transactions.push(txn);
+    byId[txn.Id] = txn;
+    added++;
+  }
+
+  if (previous) {
+    previous.fileName = info.fileName;
+    previous.importedAt = new Date().toISOString();
+    return { fileName: info.fileName, account, from, to, status: 'reimported', added, skipped };
+  }
+
+  ledger.statements.push({
+    key,
+    account,
+    profile: info.profile,
+    fileName: info.fileName,
+    from,
+    to,
+    count: rows.length,
+    importedAt: new Date().toISOString()
+  });
+  ledger.statements.sort((a, b) => a.account.localeCompare(b.account) || a.from.localeCompare(b.from));
+
+  return { fileName: info.fileName, account, from, to, status: 'added', added, skipped };
+}
+
+/**
+ * Shows likely duplicates and lets the user decide before anything reaches
+ * the ledger. Resolves to the decisions, or null if the import is cancelled.
+ */
+function reviewDuplicates(duplicates) {
+  const container = document.getElementById('import-review');
+  container.innerHTML = '';
+
+  return new Promise(resolve => {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Review Possible Duplicates';
+    container.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.textContent = `${duplicates.length} incoming transaction(s) look like ones already imported. ` +
+      'Choose what to do with each before the import is saved.';
+    container.appendChild(intro);
+
+    const table = document.createElement('table');
+    const thead = table.insertRow();
+    ['Why', 'Incoming', 'Already Have', 'Action'].forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      thead.appendChild(th);
+    });
+
+    const describe = txn =>
+      `${txn.Date}  ${Number(txn.Amount).toFixed(2)}  ${txn.Description}` +
+      (txn.Status ? ` (${txn.Status})` : '') + ` — ${txn.Source || ''}`;
+
+    duplicates.forEach(d => {
+      const row = table.insertRow();
+      row.insertCell().textContent = d.kind === 'pending' ? 'Pending vs. posted' : 'Same amount, similar merchant';
+      row.insertCell().textContent = describe(d.row);
+      row.insertCell().textContent = describe(d.match);
+
+      const select = document.createElement('select');
+      [
+        ['skip', 'Skip incoming'],
+        ['replace', 'Replace existing with incoming'],
+        ['keep', 'Keep both']
+      ].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        select.appendChild(opt);
+      });
+      select.value = d.action;
+      select.addEventListener('change', () => { d.action = select.value; });
+      row.insertCell().appendChild(select);
+    });
+    container.appendChild(table);
+
+    const finish = result => {
+      container.innerHTML = '';
+      resolve(result);
+    };
+
+    const continueBtn = document.createElement('button');
+    continueBtn.textContent = 'Continue Import';
+    continueBtn.style.marginTop = '0.5rem';
+    continueBtn.onclick = () => finish(duplicates);
+    container.appendChild(continueBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel Import';
+    cancelBtn.style.marginLeft = '0.5rem';
+    cancelBtn.onclick = () => finish(null);
+    container.appendChild(cancelBtn);
+  });
+}
+
+function renderLedgerSummary(ledger, results) {
+  const container = document.getElementById('ledger-summary');
+  container.innerHTML = '';
+  if (!ledger.statements.length) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Imported Statements';
+  container.appendChild(heading);
+
+  (results || []).forEach(r => {
+    const note = document.createElement('p');
+    if (r.status === 'empty') {
+      note.textContent = `${r.fileName}: no transactions found.`;
+    } else if (r.status === 'skipped') {
+      note.textContent = `${r.fileName}: skipped (columns not mapped).`;
+    } else if (r.status === 'reviewed') {
+      note.textContent = `Reviewed ${r.reviewed} possible duplicate(s): ` +
+        `${r.replaced} replaced an existing row, ${r.skipped} skipped.`;
+    } else {
+      const verb = r.status === 'reimported' ? 'Re-imported' : 'Imported';
+      note.textContent = `${verb} ${r.fileName} (${r.account}, ${r.from} to ${r.to}): ` +
+        `${r.added} new, ${r.skipped} already in ledger.`;
+    }
+    container.appendChild(note);
+  });
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Account', 'From', 'To', 'Rows', 'File'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  ledger.statements.forEach(s => {
+    const row = table.insertRow();
+    row.insertCell().textContent = s.account;
+    row.insertCell().textContent = s.from;
+    row.insertCell().textContent = s.to;
+    row.insertCell().textContent = s.count;
+    row.insertCell().textContent = s.fileName;
+  });
+  container.appendChild(table);
+
+  const clearBtn = document.createElement('button');
+  clearBtn.textContent = 'Clear Ledger';
+  clearBtn.style.marginTop = '0.5rem';
+  clearBtn.onclick = () => {
+    if (!confirm('Remove all imported statements from this browser? Category rules are kept.')) return;
+    clearLedger();
+    clearSession();
+    clearWorkspace();
+  };
+  container.appendChild(clearBtn);
+}
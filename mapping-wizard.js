@@ -0,0 +1,240 @@
+// ==== COLUMN MAPPING WIZARD ====
+// Shown when detectProfile returns 'Unknown'. The user points at the date,
+// amount and description columns, checks a preview, and the mapping is saved
+// as a custom profile so the same export is recognized next time.
+
+const WIZARD_PREVIEW_ROWS = 5;
+
+function makeSelect(options, value) {
+  const select = document.createElement('select');
+  options.forEach(([val, label]) => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+  if (value != null) select.value = String(value);
+  return select;
+}
+
+function labeled(text, control) {
+  const label = document.createElement('label');
+  label.style.display = 'block';
+  label.style.margin = '0.35rem 0';
+  label.textContent = text + ' ';
+  label.appendChild(control);
+  return label;
+}
+
+// Guess a starting mapping so the common case is just "check and save"
+function guessColumns(data, headerRows) {
+  const sample = data[headerRows] || data[0] || [];
+  const header = headerRows > 0 ? (data[0] || []).map(c => cellText(c).toLowerCase()) : [];
+  const findHeader = rx => header.findIndex(h => rx.test(h));
+
+  let date = findHeader(/date/);
+  if (date < 0) date = sample.findIndex(c => /^\d{1,4}[\/.-]\d{1,2}[\/.-]\d{1,4}$/.test(cellText(c)));
+
+  const debit = findHeader(/debit|withdrawal/);
+  const credit = findHeader(/credit|deposit/);
+  const hasSplit = debit >= 0 && credit >= 0;
+
+  let amount = findHeader(/amount/);
+  if (amount < 0 && !hasSplit) {
+    amount = sample.findIndex((c, i) => i !== date && /^\(?-?\$?[\d,]+\.\d{2}\)?$/.test(cellText(c)));
+  }
+
+  let description = findHeader(/desc|payee|merchant|name|memo/);
+  if (description < 0) {
+    // Longest text cell is usually the merchant
+    let best = -1;
+    sample.forEach((c, i) => {
+      if (i === date || i === amount) return;
+      if (best < 0 || cellText(c).length > cellText(sample[best]).length) best = i;
+    });
+    description = best;
+  }
+
+  return {
+    date: Math.max(date, 0),
+    description: description >= 0 ? [description] : [],
+    amount: amount >= 0 ? amount : null,
+    debit: hasSplit ? debit : null,
+    credit: hasSplit ? credit : null,
+    invert: false
+  };
+}
+
+/**
+ * Opens the mapping wizard for one file.
+ * Resolves to the saved custom profile, or null if the user skips the file.
+ */
+function openMappingWizard(fileName, data) {
+  const container = document.getElementById('mapping-wizard');
+  container.innerHTML = '';
+
+  return new Promise(resolve => {
+    const colCount = Math.max(...data.slice(0, 20).map(r => r.length));
+    const colOptions = Array.from({ length: colCount }, (_, i) => [i, `Column ${i + 1}`]);
+    const firstLooksLikeHeader = !(data[0] || []).some(c => /\d/.test(cellText(c)) && /^[-\d\/.$,()]+$/.test(cellText(c)));
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Map Columns for ${fileName}`;
+    container.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.textContent = "This file's layout isn't recognized. Pick which columns hold the date, amount and " +
+      'description. The mapping is saved so this export is recognized next time.';
+    container.appendChild(intro);
+
+    // Raw first rows
+    const raw = document.createElement('table');
+    const rawHead = raw.insertRow();
+    colOptions.forEach(([, label]) => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      rawHead.appendChild(th);
+    });
+    data.slice(0, WIZARD_PREVIEW_ROWS + 1).forEach(r => {
+      const row = raw.insertRow();
+      for (let i = 0; i < colCount; i++) row.insertCell().textContent = cellText(r[i]);
+    });
+    container.appendChild(raw);
+
+    const form = document.createElement('div');
+    form.style.margin = '0.75rem 0';
+
+    const headerInput = document.createElement('input');
+    headerInput.type = 'number';
+    headerInput.min = '0';
+    headerInput.max = '10';
+    headerInput.value = firstLooksLikeHeader ? '1' : '0';
+
+    const guess = guessColumns(data, Number(headerInput.value));
+
+    const dateSelect = makeSelect(colOptions, guess.date);
+    const formatSelect = makeSelect([
+      ['MDY', 'MM/DD/YYYY'],
+      ['DMY', 'DD/MM/YYYY'],
+      ['YMD', 'YYYY-MM-DD']
+    ], 'MDY');
+
+    const modeSelect = makeSelect([
+      ['single', 'One amount column'],
+      ['split', 'Separate debit and credit columns']
+    ], guess.amount == null && guess.debit != null ? 'split' : 'single');
+    const amountSelect = makeSelect(colOptions, guess.amount == null ? 0 : guess.amount);
+    const debitSelect = makeSelect(colOptions, guess.debit == null ? 0 : guess.debit);
+    const creditSelect = makeSelect(colOptions, guess.credit == null ? 0 : guess.credit);
+    const amountLabel = labeled('Amount column:', amountSelect);
+    const debitLabel = labeled('Debit (money out) column:', debitSelect);
+    const creditLabel = labeled('Credit (money in) column:', creditSelect);
+
+    const invertBox = document.createElement('input');
+    invertBox.type = 'checkbox';
+
+    const descWrap = document.createElement('span');
+    const descBoxes = colOptions.map(([i, label]) => {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = guess.description.includes(i);
+      const l = document.createElement('label');
+      l.style.marginRight = '0.75rem';
+      l.appendChild(box);
+      l.appendChild(document.createTextNode(' ' + label));
+      descWrap.appendChild(l);
+      return box;
+    });
+
+    const nameInput = document.createElement('input');
+    nameInput.value = String(fileName).replace(/\.[^.]+$/, '');
+
+    form.appendChild(labeled('Header rows to skip:', headerInput));
+    form.appendChild(labeled('Date column:', dateSelect));
+    form.appendChild(labeled('Date format:', formatSelect));
+    form.appendChild(labeled('Amount style:', modeSelect));
+    form.appendChild(amountLabel);
+    form.appendChild(debitLabel);
+    form.appendChild(creditLabel);
+    form.appendChild(labeled('Purchases are positive numbers (flip sign):', invertBox));
+    form.appendChild(labeled('Description column(s):', descWrap));
+    form.appendChild(labeled('Save as profile named:', nameInput));
+    container.appendChild(form);
+
+    const previewTitle = document.createElement('h4');
+    previewTitle.textContent = 'Preview';
+    container.appendChild(previewTitle);
+    const preview = document.createElement('table');
+    container.appendChild(preview);
+
+    const readProfile = () => {
+      const split = modeSelect.value === 'split';
+      return {
+        name: nameInput.value.trim(),
+        headerRows: Math.max(0, parseInt(headerInput.value, 10) || 0),
+        dateFormat: formatSelect.value,
+        columns: {
+          date: Number(dateSelect.value),
+          description: descBoxes.map((b, i) => (b.checked ? i : -1)).filter(i => i >= 0),
+          amount: split ? null : Number(amountSelect.value),
+          debit: split ? Number(debitSelect.value) : null,
+          credit: split ? Number(creditSelect.value) : null,
+          invert: invertBox.checked
+        }
+      };
+    };
+
+    const renderPreview = () => {
+      const split = modeSelect.value === 'split';
+      amountLabel.style.display = split ? 'none' : 'block';
+      debitLabel.style.display = split ? 'block' : 'none';
+      creditLabel.style.display = split ? 'block' : 'none';
+
+      const p = readProfile();
+      preview.innerHTML = '';
+      const head = preview.insertRow();
+      ['Date', 'Amount', 'Description'].forEach(h => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+      });
+      data.slice(p.headerRows, p.headerRows + WIZARD_PREVIEW_ROWS).forEach(r => {
+        const m = mapColumns(p.columns, p.dateFormat, r);
+        const row = preview.insertRow();
+        row.insertCell().textContent = m.Date;
+        row.insertCell().textContent = m.Amount.toFixed(2);
+        row.insertCell().textContent = m.Description;
+      });
+    };
+
+    form.addEventListener('change', renderPreview);
+    form.addEventListener('input', renderPreview);
+    renderPreview();
+
+    const finish = result => {
+      container.innerHTML = '';
+      resolve(result);
+    };
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save Profile and Import';
+    saveBtn.onclick = () => {
+      const profile = readProfile();
+      if (!profile.name) return alert('Please name this profile (for example, the bank name).');
+      if (!profile.columns.description.length) return alert('Please choose at least one description column.');
+      if (getBuiltInProfile(profile.name) || profile.name === 'Unknown') {
+        return alert('Please choose a different profile name.');
+      }
+      profile.match = { signature: csvSignature(data[0], profile.headerRows > 0) };
+      saveCustomProfile(profile);
+      finish(profile);
+    };
+    container.appendChild(saveBtn);
+
+    const skipBtn = document.createElement('button');
+    skipBtn.textContent = 'Skip This File';
+    skipBtn.style.marginLeft = '0.5rem';
+    skipBtn.onclick = () => finish(null);
+    container.appendChild(skipBtn);
+  });
+}
@@ -0,0 +1,277 @@
+// ==== CSV PROFILES ====
+// Every supported bank export is described as data: how to recognize it from
+// the first row, how many rows to drop, and which columns hold what.
+// Adding a bank means adding an entry here plus a fake sample in docs/samples/.
+//
+// Profile shape:
+// {
+//   name: 'Chase_Checking',     // returned by detectProfile
+//   account: 'Chase',           // default account label for the ledger
+//   match: {
+//     header: ['details', 'posting date', ...], // first row starts with these
+//                                               // cells (case and spaces ignored)
+//     exact: true,              // optional: the header has no further cells
+//     cells: { 0: /regex/ },    // or: first-row cells that must match
+//     anyRow: { 1: /regex/ },   // optional: some later row's cells must match
+//     minColumns: 5,            // optional
+//     signature: '...'          // custom profiles only, see csvSignature
+//   },
+//   headerRows: 1,              // rows to drop before the data starts
+//   dataStartsAfter: [...],     // optional: also drop everything up to and
+//                               // including the row starting with these cells
+//   skipBlankAmount: false,     // drop rows with no amount (balance lines)
+//   dateFormat: 'MDY',          // 'MDY', 'DMY' or 'YMD'
+//   columns: {
+//     date: 0,
+//     description: [1],         // one or more columns joined with a space
+//     amount: 2,                // or null when debit/credit are used
+//     debit: null,              // money out, always made negative
+//     credit: null,             // money in, always made positive
+//     sign: null,               // { column, negative: 'debit' } when amounts are
+//                               // unsigned and another column says which way
+//     invert: false,            // true when purchases are exported as positive
+//     status: null              // optional Pending/Posted column
+//   }
+// }
+//
+// Detection order: custom profiles, then BUILT_IN_PROFILES top to bottom.
+// Header matches are prefix matches, so longer headers must come first.
+
+const BUILT_IN_PROFILES = [
+  {
+    name: 'USBank_WithHeaders',
+    account: 'US Bank',
+    match: { header: ['date', 'transaction', 'name', 'memo', 'amount'] },
+    headerRows: 1,
+    columns: { date: 0, description: [2, 3], amount: 4 }
+  },
+  {
+    // Current Wells Fargo checking export
+    name: 'WellsFargo_WithHeaders',
+    account: 'Wells Fargo',
+    match: { header: ['date', 'description', 'amount', 'check #', 'status'] },
+    headerRows: 1,
+    columns: { date: 0, description: [1], amount: 2, status: 4 }
+  },
+  {
+    name: 'Chase_Checking',
+    account: 'Chase',
+    match: { header: ['details', 'posting date', 'description', 'amount', 'type', 'balance'] },
+    headerRows: 1,
+    columns: { date: 1, description: [2], amount: 3 }
+  },
+  {
+    name: 'Chase_CreditCard',
+    account: 'Chase Card',
+    match: { header: ['transaction date', 'post date', 'description', 'category', 'type', 'amount'] },
+    headerRows: 1,
+    columns: { date: 0, description: [2], amount: 5 }
+  },
+  {
+    // Starts with a summary block; the transactions follow their own header
+    name: 'BankOfAmerica_Checking',
+    account: 'Bank of America',
+    match: { header: ['description', '', 'summary amt.'] },
+    headerRows: 1,
+    dataStartsAfter: ['date', 'description', 'amount', 'running bal.'],
+    skipBlankAmount: true,
+    columns: { date: 0, description: [1], amount: 2 }
+  },
+  {
+    name: 'BankOfAmerica_CreditCard',
+    account: 'Bank of America Card',
+    match: { header: ['posted date', 'reference number', 'payee', 'address', 'amount'] },
+    headerRows: 1,
+    columns: { date: 0, description: [2], amount: 4 }
+  },
+  {
+    name: 'CapitalOne_CreditCard',
+    account: 'Capital One Card',
+    match: { header: ['transaction date', 'posted date', 'card no.', 'description', 'category', 'debit', 'credit'] },
+    headerRows: 1,
+    columns: { date: 0, description: [3], amount: null, debit: 5, credit: 6 }
+  },
+  {
+    name: 'Discover_CreditCard',
+    account: 'Discover Card',
+    match: { header: ['trans. date', 'post date', 'description', 'amount', 'category'] },
+    headerRows: 1,
+    columns: { date: 0, description: [2], amount: 3, invert: true }
+  },
+  {
+    name: 'Amex_Extended',
+    account: 'American Express',
+    match: { header: ['date', 'description', 'card member', 'account #', 'amount'] },
+    headerRows: 1,
+    columns: { date: 0, description: [1], amount: 4, invert: true }
+  },
+  {
+    // Plenty of exports use these three columns, so the header alone isn't
+    // enough to flip every sign: it also needs Amex's card payment posted as
+    // a negative amount. Anything else goes to the mapping wizard.
+    name: 'Amex_WithHeaders',
+    account: 'American Express',
+    match: { header: ['date', 'description', 'amount'], exact: true, anyRow: { 1: /PAYMENT - THANK YOU/i, 2: /^-/ } },
+    headerRows: 1,
+    columns: { date: 0, description: [1], amount: 2, invert: true }
+  },
+  {
+    name: 'NavyFederal_WithHeaders',
+    account: 'Navy Federal',
+    match: { header: ['posting date', 'transaction date', 'amount', 'credit debit indicator'] },
+    headerRows: 1,
+    columns: { date: 1, description: [10], amount: 2, sign: { column: 3, negative: 'debit' } }
+  },
+  {
+    // Online banking export used by many credit unions
+    name: 'CreditUnion_DebitCredit',
+    account: 'Credit Union',
+    match: { header: ['account number', 'post date', 'check', 'description', 'debit', 'credit', 'status'] },
+    headerRows: 1,
+    columns: { date: 1, description: [3], amount: null, debit: 4, credit: 5, status: 6 }
+  },
+  {
+    // Legacy Wells Fargo body row: MM/DD/YYYY, <amount>, *, <empty>, <desc>
+    name: 'YourBank_NoHeader_5Cols',
+    account: 'Wells Fargo',
+    match: { cells: { 0: /^\d{1,2}\/\d{1,2}\/\d{4}$/, 2: /^\*$/ } },
+    headerRows: 0,
+    columns: { date: 0, description: [4], amount: 1 }
+  },
+  {
+    // US Bank body without header: first col looks ISO date and 5+ columns
+    name: 'USBank_NoHeaderBody',
+    account: 'US Bank',
+    match: { cells: { 0: /^\d{4}-\d{2}-\d{2}$/ }, minColumns: 5 },
+    headerRows: 0,
+    columns: { date: 0, description: [2, 3], amount: 4 }
+  }
+];
+
+// Best-effort guess for callers that map an 'Unknown' file directly
+const UNKNOWN_COLUMNS = { date: 0, description: [2, 3, 4], amount: 1 };
+
+const CUSTOM_PROFILES_KEY = 'customProfiles';
+
+function getCustomProfiles() {
+  return readStored(CUSTOM_PROFILES_KEY, []);
+}
+
+function saveCustomProfiles(profiles) {
+  writeStored(CUSTOM_PROFILES_KEY, profiles);
+}
+
+function getCustomProfile(name) {
+  return getCustomProfiles().find(p => p.name === name) || null;
+}
+
+// Adds or replaces a custom profile by name
+function saveCustomProfile(profile) {
+  const profiles = getCustomProfiles().filter(p => p.name !== profile.name);
+  profiles.push(profile);
+  saveCustomProfiles(profiles);
+}
+
+function getBuiltInProfile(name) {
+  return BUILT_IN_PROFILES.find(p => p.name === name) || null;
+}
+
+function getProfile(name) {
+  return getCustomProfile(name) || getBuiltInProfile(name);
+}
+
+function cellText(cell) {
+  return String(cell == null ? '' : cell).replace(/"/g, '').trim();
+}
+
+function headerKey(cell) {
+  return cellText(cell).toLowerCase().replace(/\s+/g, '');
+}
+
+// True when row starts with the expected header cells
+function headerMatches(expected, row) {
+  if (!row || row.length < expected.length) return false;
+  return expected.every((h, i) => headerKey(row[i]) === headerKey(h));
+}
+
+// True when the row's cells at the given indexes match their regexes
+function cellsMatch(cells, row) {
+  return Object.entries(cells).every(([i, rx]) => rx.test(cellText(row[i])));
+}
+
+/**
+ * Identifies a CSV by its first row. Header rows are matched by their
+ * lowercased column names; headerless files by their column count and which
+ * columns look like dates (D), numbers (N) or text (T).
+ */
+function csvSignature(firstRow, hasHeader) {
+  const cells = (firstRow || []).map(cellText);
+  if (hasHeader) return cells.map(c => c.toLowerCase()).join('|');
+
+  const shape = cells.map(c => {
+    if (/^\d{1,4}[\/.-]\d{1,2}[\/.-]\d{1,4}$/.test(c)) return 'D';
+    if (/^\(?-?\$?[\d,]+(\.\d+)?\)?$/.test(c)) return 'N';
+    return 'T';
+  });
+  return `shape:${cells.length}:${shape.join('')}`;
+}
+
+// rows is the whole parsed file, used by anyRow; firstRow is rows[0]
+function profileMatches(profile, firstRow, rows = [firstRow]) {
+  // Custom profiles saved before the registry kept the signature at the top level
+  const m = profile.match || { signature: profile.signature };
+  if (m.signature) return m.signature === csvSignature(firstRow, profile.headerRows > 0);
+  if (m.minColumns && firstRow.length < m.minColumns) return false;
+  if (m.header && !headerMatches(m.header, firstRow)) return false;
+  if (m.exact && firstRow.slice(m.header.length).some(c => cellText(c))) return false;
+  if (m.cells && !cellsMatch(m.cells, firstRow)) return false;
+  if (m.anyRow && !rows.slice(1).some(r => cellsMatch(m.anyRow, r))) return false;
+  return !!(m.header || m.cells);
+}
+
+// Maps one raw row using a column spec (see profile shape above)
+function mapColumns(columns, dateFormat, r) {
+  let amount;
+  if (columns.amount != null) {
+    amount = normalizeAmount(r[columns.amount]);
+  } else {
+    const debit = Math.abs(normalizeAmount(r[columns.debit]));
+    const credit = Math.abs(normalizeAmount(r[columns.credit]));
+    amount = credit - debit;
+  }
+  if (columns.sign) {
+    const negative = cellText(r[columns.sign.column]).toLowerCase() === columns.sign.negative;
+    amount = negative ? -Math.abs(amount) : Math.abs(amount);
+  }
+  if (columns.invert) amount = -amount;
+
+  const desc = (columns.description || []).map(i => r[i] || '').join(' ');
+
+  const mapped = {
+    Date: normalizeDate(r[columns.date], dateFormat),
+    Amount: amount,
+    Description: cleanDesc(desc)
+  };
+  if (columns.status != null) mapped.Status = normalizeStatus(r[columns.status]);
+  return mapped;
+}
+
+function hasAmount(columns, r) {
+  const cols = columns.amount != null ? [columns.amount] : [columns.debit, columns.credit];
+  return cols.some(i => cellText(r[i]) !== '');
+}
+
+// Drops header/summary rows and maps the rest with the profile's columns
+function mapProfileRows(profile, data) {
+  let rows = data.slice(profile.headerRows || 0);
+
+  if (profile.dataStartsAfter) {
+    const start = rows.findIndex(r => headerMatches(profile.dataStartsAfter, r));
+    rows = start >= 0 ? rows.slice(start + 1) : [];
+  }
+  if (profile.skipBlankAmount) {
+    rows = rows.filter(r => hasAmount(profile.columns, r));
+  }
+
+  return rows.map(r => mapColumns(profile.columns, profile.dateFormat, r));
+}
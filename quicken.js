@@ -0,0 +1,122 @@
+// ==== OFX / QFX / QIF IMPORT ====
+// Quicken and Money downloads, mapped to the same canonical
+// { Date, Amount, Description } rows as CSV imports.
+
+// Picks a parser from the file extension, falling back to the file contents
+function sniffFileFormat(fileName, text) {
+  const ext = String(fileName || '').toLowerCase().split('.').pop();
+  if (ext === 'ofx' || ext === 'qfx') return 'OFX';
+  if (ext === 'qif') return 'QIF';
+
+  const head = String(text || '').slice(0, 2000);
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'OFX';
+  if (/^\s*!(Type|Account|Option)/i.test(head)) return 'QIF';
+  return 'CSV';
+}
+
+function decodeEntities(s) {
+  return String(s)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Reads a leaf element. SGML OFX leaves have no closing tag, XML ones do;
+// either way the value runs until the next '<' or line break.
+function ofxValue(block, tag) {
+  const m = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return m ? decodeEntities(m[1]).trim() : '';
+}
+
+// OFX dates look like 20260501 or 20260501120000.000[-7:MST]
+function ofxDate(raw) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(String(raw || '').trim());
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+}
+
+/**
+ * Parses an OFX/QFX statement (SGML 1.x or XML 2.x).
+ * Returns { profile: 'OFX', account, rows }. Rows carry FitId, the bank's own
+ * transaction id, which the ledger uses as the fingerprint.
+ */
+function parseOFX(text) {
+  const org = ofxValue(text, 'ORG');
+  const acctId = ofxValue(text, 'ACCTID');
+  const isCard = /<CCSTMTRS>/i.test(text);
+  const label = org || (isCard ? 'Card' : 'Account');
+  const account = acctId ? `${label} ...${acctId.slice(-4)}` : label;
+
+  const rows = [];
+  const rx = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
+  let m;
+  while ((m = rx.exec(text))) {
+    const block = m[1];
+    const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+    const memo = ofxValue(block, 'MEMO');
+    const desc = memo && memo !== name ? `${name} ${memo}` : name || memo;
+    const row = {
+      Date: ofxDate(ofxValue(block, 'DTPOSTED')),
+      Amount: normalizeAmount(ofxValue(block, 'TRNAMT')),
+      Description: cleanDesc(desc)
+    };
+    const fitId = ofxValue(block, 'FITID');
+    if (fitId) row.FitId = fitId;
+    rows.push(row);
+  }
+
+  return { profile: 'OFX', account, rows };
+}
+
+// QIF dates: 05/01/2026, 5/ 1/26 or 5/1'26 (apostrophe years are 2000s)
+function qifDate(raw) {
+  return normalizeDate(String(raw || '').replace(/'/g, '/').replace(/\s+/g, ''));
+}
+
+/**
+ * Parses a QIF file. Records are blocks of one-letter fields ended by '^':
+ * D date, T/U amount, P payee, M memo.
+ * Returns { profile: 'QIF', account, rows }; account is the !Account name when
+ * the file has one.
+ */
+function parseQIF(text) {
+  const rows = [];
+  let account = '';
+  let inAccountBlock = false;
+  let rec = {};
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '!') {
+      inAccountBlock = /^Account/i.test(value);
+      rec = {};
+      return;
+    }
+
+    if (code === '^') {
+      if (!inAccountBlock && rec.D) {
+        const desc = rec.M && rec.M !== rec.P ? `${rec.P || ''} ${rec.M}` : rec.P || rec.M;
+        rows.push({
+          Date: qifDate(rec.D),
+          Amount: normalizeAmount(rec.T != null ? rec.T : rec.U),
+          Description: cleanDesc(desc)
+        });
+      }
+      inAccountBlock = false;
+      rec = {};
+      return;
+    }
+
+    if (inAccountBlock) {
+      if (code === 'N') account = value;
+      return;
+    }
+    if (!(code in rec)) rec[code] = value;
+  });
+
+  return { profile: 'QIF', account, rows };
+}
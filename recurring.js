@@ -0,0 +1,220 @@
+// ==== RECURRING CHARGES ====
+// Finds subscriptions, bills and paychecks in the stored transactions: rows
+// from the same merchant (first extractMerchantCandidates token) with a similar
+// amount, repeating on a roughly weekly, monthly or yearly cadence.
+
+// days: typical gap; slack: how far a single gap may drift; min: occurrences
+// needed before a series counts as recurring
+const RECURRING_CADENCES = [
+  { name: 'Weekly', days: 7, slack: 2, perYear: 52, step: { days: 7 }, min: 3 },
+  { name: 'Every 2 weeks', days: 14, slack: 3, perYear: 26, step: { days: 14 }, min: 3 },
+  { name: 'Monthly', days: 30.4, slack: 5, perYear: 12, step: { months: 1 }, min: 3 },
+  { name: 'Quarterly', days: 91, slack: 10, perYear: 4, step: { months: 3 }, min: 3 },
+  { name: 'Yearly', days: 365, slack: 20, perYear: 1, step: { months: 12 }, min: 2 }
+];
+
+// Amounts within this share (or $2) of the series' last amount stay in the
+// series, so a price increase does not start a new one
+const RECURRING_AMOUNT_TOLERANCE = 0.25;
+
+// True for a real 'YYYY-MM-DD' date; addToDate throws on anything else
+function isISODate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !Number.isNaN(new Date(`${date}T00:00:00Z`).getTime());
+}
+
+function addToDate(date, step) {
+  const d = new Date(`${date}T00:00:00Z`);
+  if (step.days) d.setUTCDate(d.getUTCDate() + step.days);
+  if (step.months) {
+    const day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + step.months);
+    // Clamp the 31st to the end of shorter months
+    const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    d.setUTCDate(Math.min(day, last));
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function similarAmount(a, b) {
+  const diff = Math.abs(Math.abs(a) - Math.abs(b));
+  return diff <= 2 || diff <= Math.abs(b) * RECURRING_AMOUNT_TOLERANCE;
+}
+
+// Splits one merchant's rows (sorted by date) into runs of similar amounts
+function amountSeries(rows) {
+  const series = [];
+  rows.forEach(row => {
+    const s = series.find(x => similarAmount(row.Amount, x[x.length - 1].Amount));
+    if (s) s.push(row);
+    else series.push([row]);
+  });
+  return series;
+}
+
+// Picks the cadence most gaps agree with, or null for irregular rows
+function detectCadence(rows) {
+  if (rows.length < 2) return null;
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) gaps.push(daysBetween(rows[i - 1].Date, rows[i].Date));
+  const typical = median(gaps);
+  const cadence = RECURRING_CADENCES.find(c => Math.abs(typical - c.days) <= c.slack);
+  if (!cadence || rows.length < cadence.min) return null;
+  const onBeat = gaps.filter(g => Math.abs(g - cadence.days) <= cadence.slack).length;
+  return onBeat >= Math.ceil(gaps.length * 2 / 3) ? cadence : null;
+}
+
+/**
+ * Finds recurring series in the given rows. Each result:
+ * { merchant, kind: 'expense'|'income', cadence, count, firstDate, lastDate,
+ *   lastAmount, nextDate, annualCost, priceChange: { from, to, date } | null,
+ *   status: 'active'|'stopped'|'new', rows }
+ * 'stopped' means the next expected charge is overdue by more than the
+ * cadence's slack at the end of the loaded data; 'new' means the series began
+ * within its last three cycles although the ledger goes back further.
+ */
+function detectRecurring(rows) {
+  // Ledgers saved before dates were checked on import can hold anything here
+  const dated = rows.filter(row => isISODate(row.Date));
+  const { from, to } = getDateRange(dated);
+  const groups = {};
+  dated.forEach(row => {
+    const amount = Number(row.Amount);
+    if (!amount) return;
+    const merchant = extractMerchantCandidates(row.Description)[0];
+    if (!merchant) return;
+    const key = `${amount < 0 ? 'expense' : 'income'}|${merchant}`;
+    (groups[key] = groups[key] || []).push({ ...row, Amount: amount });
+  });
+
+  const found = [];
+  Object.entries(groups).forEach(([key, groupRows]) => {
+    const [kind, merchant] = key.split('|');
+    groupRows.sort((a, b) => a.Date.localeCompare(b.Date));
+
+    amountSeries(groupRows).forEach(series => {
+      const cadence = detectCadence(series);
+      if (!cadence) return;
+
+      const first = series[0];
+      const last = series[series.length - 1];
+      const nextDate = addToDate(last.Date, cadence.step);
+
+      let priceChange = null;
+      for (let i = series.length - 1; i > 0; i--) {
+        const before = Math.abs(series[i - 1].Amount);
+        const after = Math.abs(series[i].Amount);
+        if (Math.abs(after - before) >= Math.max(0.5, before * 0.01)) {
+          priceChange = { from: before, to: after, date: series[i].Date };
+          break;
+        }
+      }
+
+      let status = 'active';
+      if (to > nextDate && daysBetween(nextDate, to) > cadence.slack) status = 'stopped';
+      else if (daysBetween(first.Date, to) <= cadence.days * 3 && daysBetween(from, first.Date) >= cadence.days) {
+        status = 'new';
+      }
+
+      found.push({
+        merchant,
+        kind,
+        cadence: cadence.name,
+        count: series.length,
+        firstDate: first.Date,
+        lastDate: last.Date,
+        lastAmount: last.Amount,
+        nextDate,
+        annualCost: Math.abs(last.Amount) * cadence.perYear,
+        priceChange,
+        status,
+        rows: series
+      });
+    });
+  });
+
+  return found.sort((a, b) =>
+    (a.status === 'stopped') - (b.status === 'stopped') ||
+    a.kind.localeCompare(b.kind) ||
+    b.annualCost - a.annualCost
+  );
+}
+
+function recurringNotes(r) {
+  const notes = [];
+  if (r.status === 'stopped') notes.push(`Stopped: expected ${r.nextDate}, nothing since ${r.lastDate}`);
+  if (r.status === 'new') notes.push(`New since ${r.firstDate}`);
+  if (r.priceChange) {
+    const verb = r.priceChange.to > r.priceChange.from ? 'Price increase' : 'Price drop';
+    notes.push(`${verb}: $${r.priceChange.from.toFixed(2)} → $${r.priceChange.to.toFixed(2)} on ${r.priceChange.date}`);
+  }
+  return notes.join('. ');
+}
+
+function renderRecurring(rows, categorized, open) {
+  const container = document.getElementById('recurring');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const found = detectRecurring(rows || []);
+  if (!found.length) return;
+
+  // Category of each ledger row as shown in the results
+  const categoryById = {};
+  Object.entries(categorized || {}).forEach(([category, txns]) => {
+    txns.forEach(t => { if (!(t.Id in categoryById)) categoryById[t.Id] = category; });
+  });
+
+  const active = found.filter(r => r.kind === 'expense' && r.status !== 'stopped');
+  const yearly = active.reduce((sum, r) => sum + r.annualCost, 0);
+  const flagged = found.filter(r => r.status !== 'active' || (r.priceChange && r.priceChange.to > r.priceChange.from));
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  details.style.marginTop = '1rem';
+  const summary = document.createElement('summary');
+  summary.textContent = `Recurring Charges (${active.length} active, $${yearly.toFixed(2)} per year` +
+    (flagged.length ? `, ${flagged.length} to review)` : ')');
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'Charges and deposits from the same merchant with a similar amount on a regular schedule. ' +
+    'Annual cost uses the latest amount.';
+  details.appendChild(intro);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Merchant', 'Category', 'Type', 'Cadence', 'Last', 'Next Expected', 'Annual', 'Count', 'Notes'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  found.forEach(r => {
+    const row = table.insertRow();
+    row.insertCell().textContent = r.merchant;
+    row.insertCell().textContent = categoryById[r.rows[r.rows.length - 1].Id] || '';
+    row.insertCell().textContent = r.kind === 'income' ? 'Income' : 'Expense';
+    row.insertCell().textContent = r.cadence;
+    row.insertCell().textContent = `${r.lastDate}  ${r.lastAmount.toFixed(2)}`;
+    row.insertCell().textContent = r.status === 'stopped' ? '' : r.nextDate;
+    row.insertCell().textContent = r.annualCost.toFixed(2);
+    row.insertCell().textContent = r.count;
+    row.insertCell().textContent = recurringNotes(r);
+    if (r.status === 'stopped') row.style.color = '#888';
+    if (r.status === 'new' || (r.priceChange && r.priceChange.to > r.priceChange.from)) {
+      row.style.background = '#fff3e0';
+    }
+  });
+  details.appendChild(table);
+
+  container.appendChild(details);
+}
@@ -0,0 +1,277 @@
+// ==== REPORTS ====
+// Month-over-month views of the categorized ledger: spending per category by
+// month, a stacked bar chart, income vs. expenses, and the top merchants.
+// Charts are plain SVG built here so nothing depends on a charting CDN.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const REPORT_TOP_MERCHANTS = 10;
+// Categories beyond this many are folded into 'Other' in the bar chart
+const REPORT_CHART_CATEGORIES = 8;
+const REPORT_COLORS = ['#1565c0', '#2e7d32', '#ef6c00', '#6a1b9a', '#00838f', '#c62828', '#827717', '#4e342e', '#9e9e9e'];
+
+/**
+ * Totals the categorized rows by month. Spending per category is the negated
+ * sum of its amounts (refunds reduce it); categories that net to income are
+ * left out. Income and expenses follow the Summary block: positive and
+ * negative lines; matched transfers between accounts count for neither.
+ * Returns { months, categories, spend, income, expenses } with
+ * spend[category][month], categories ordered by total spending.
+ */
+function monthlyReport(categorized) {
+  const all = [].concat(...Object.values(categorized));
+  const { from, to } = getDateRange(all);
+  const months = monthsBetween(from, to);
+  const income = {};
+  const expenses = {};
+  const spend = {};
+  const totals = {};
+  months.forEach(m => { income[m] = 0; expenses[m] = 0; });
+
+  Object.entries(categorized).forEach(([category, rows]) => {
+    const byMonth = {};
+    rows.forEach(t => {
+      const month = String(t.Date || '').slice(0, 7);
+      if (!(month in income) || t.Transfer) return;
+      byMonth[month] = (byMonth[month] || 0) - t.Amount;
+      if (t.Amount > 0) income[month] += t.Amount;
+      if (t.Amount < 0) expenses[month] -= t.Amount;
+    });
+    const total = Object.values(byMonth).reduce((sum, v) => sum + v, 0);
+    if (total > 0) {
+      spend[category] = byMonth;
+      totals[category] = total;
+    }
+  });
+
+  const categories = Object.keys(spend).sort((a, b) => totals[b] - totals[a]);
+  return { months, categories, spend, income, expenses };
+}
+
+// Expense rows grouped by their first merchant keyword, biggest total first
+function topMerchants(categorized, limit = REPORT_TOP_MERCHANTS) {
+  const merchants = {};
+  Object.entries(categorized).forEach(([category, rows]) => {
+    rows.forEach(t => {
+      if (t.Amount >= 0 || t.Transfer) return;
+      const name = extractMerchantCandidates(t.Description)[0] || t.Description;
+      const m = merchants[name] = merchants[name] || { name, count: 0, total: 0, categories: new Set() };
+      m.count++;
+      m.total -= t.Amount;
+      m.categories.add(category);
+    });
+  });
+  return Object.values(merchants)
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit)
+    .map(m => ({ ...m, categories: [...m.categories].sort() }));
+}
+
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs || {}).forEach(([k, v]) => el.setAttribute(k, v));
+  return el;
+}
+
+function svgText(x, y, text, attrs) {
+  const el = svgEl('text', { x, y, 'font-size': 11, fill: '#333', ...attrs });
+  el.textContent = text;
+  return el;
+}
+
+// A tidy axis maximum: 1, 2 or 5 times a power of ten
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const base = Math.pow(10, Math.floor(Math.log10(value)));
+  return [1, 2, 5, 10].map(n => n * base).find(n => n >= value);
+}
+
+// Shared frame for both charts: y gridlines with labels and month labels
+function chartFrame(months, max, width, height, pad) {
+  const svg = svgEl('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+  svg.style.maxWidth = '100%';
+  svg.style.background = '#fff';
+  const plotH = height - pad.top - pad.bottom;
+  for (let i = 0; i <= 4; i++) {
+    const y = pad.top + plotH - (plotH * i) / 4;
+    svg.appendChild(svgEl('line', { x1: pad.left, x2: width - pad.right, y1: y, y2: y, stroke: '#e0e0e0' }));
+    svg.appendChild(svgText(pad.left - 6, y + 4, `$${Math.round((max * i) / 4)}`, { 'text-anchor': 'end' }));
+  }
+  const step = (width - pad.left - pad.right) / months.length;
+  months.forEach((m, i) => {
+    svg.appendChild(svgText(pad.left + step * (i + 0.5), height - pad.bottom + 16, m, { 'text-anchor': 'middle' }));
+  });
+  return { svg, plotH, step };
+}
+
+function chartLegend(items) {
+  const legend = document.createElement('div');
+  legend.style.display = 'flex';
+  legend.style.flexWrap = 'wrap';
+  legend.style.gap = '0.75rem';
+  legend.style.fontSize = '0.85rem';
+  legend.style.margin = '0.25rem 0 1rem';
+  items.forEach(([label, color]) => {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.style.display = 'inline-block';
+    swatch.style.width = '0.75rem';
+    swatch.style.height = '0.75rem';
+    swatch.style.marginRight = '0.25rem';
+    swatch.style.background = color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(label));
+    legend.appendChild(item);
+  });
+  return legend;
+}
+
+function renderStackedBarChart(report) {
+  const wrap = document.createElement('div');
+  const shown = report.categories.slice(0, REPORT_CHART_CATEGORIES);
+  const rest = report.categories.slice(REPORT_CHART_CATEGORIES);
+  const series = shown.map((c, i) => ({ label: c, color: REPORT_COLORS[i], values: report.spend[c] }));
+  if (rest.length) {
+    const other = {};
+    rest.forEach(c => Object.entries(report.spend[c]).forEach(([m, v]) => { other[m] = (other[m] || 0) + v; }));
+    series.push({ label: 'Other', color: REPORT_COLORS[REPORT_COLORS.length - 1], values: other });
+  }
+
+  const monthTotal = m => series.reduce((sum, s) => sum + Math.max(0, s.values[m] || 0), 0);
+  const max = niceMax(Math.max(...report.months.map(monthTotal)));
+  const pad = { top: 10, right: 10, bottom: 24, left: 60 };
+  const { svg, plotH, step } = chartFrame(report.months, max, 640, 260, pad);
+
+  report.months.forEach((m, i) => {
+    let y = pad.top + plotH;
+    series.forEach(s => {
+      const v = Math.max(0, s.values[m] || 0);
+      if (!v) return;
+      const h = (v / max) * plotH;
+      y -= h;
+      const rect = svgEl('rect', { x: pad.left + step * i + step * 0.2, y, width: step * 0.6, height: h, fill: s.color });
+      const title = svgEl('title');
+      title.textContent = `${s.label} ${m}: $${v.toFixed(2)}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+    });
+  });
+
+  wrap.appendChild(svg);
+  wrap.appendChild(chartLegend(series.map(s => [s.label, s.color])));
+  return wrap;
+}
+
+function renderIncomeExpenseChart(report) {
+  const wrap = document.createElement('div');
+  const lines = [
+    { label: 'Income', color: '#2e7d32', values: report.income },
+    { label: 'Expenses', color: '#c62828', values: report.expenses }
+  ];
+  const max = niceMax(Math.max(...lines.map(l => Math.max(...report.months.map(m => l.values[m])))));
+  const pad = { top: 10, right: 10, bottom: 24, left: 60 };
+  const { svg, plotH, step } = chartFrame(report.months, max, 640, 220, pad);
+
+  lines.forEach(l => {
+    const points = report.months.map((m, i) =>
+      [pad.left + step * (i + 0.5), pad.top + plotH - (l.values[m] / max) * plotH]
+    );
+    svg.appendChild(svgEl('polyline', {
+      points: points.map(p => p.join(',')).join(' '),
+      fill: 'none',
+      stroke: l.color,
+      'stroke-width': 2
+    }));
+    points.forEach(([x, y], i) => {
+      const dot = svgEl('circle', { cx: x, cy: y, r: 3, fill: l.color });
+      const title = svgEl('title');
+      title.textContent = `${l.label} ${report.months[i]}: $${l.values[report.months[i]].toFixed(2)}`;
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    });
+  });
+
+  wrap.appendChild(svg);
+  wrap.appendChild(chartLegend(lines.map(l => [l.label, l.color])));
+  return wrap;
+}
+
+function renderCategoryMonthTable(report) {
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Category', ...report.months, 'Total'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  const addRow = (label, values, bold) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = label;
+    let total = 0;
+    report.months.forEach(m => {
+      const v = values[m] || 0;
+      total += v;
+      row.insertCell().textContent = v ? v.toFixed(2) : '';
+    });
+    row.insertCell().textContent = total.toFixed(2);
+    if (bold) row.style.fontWeight = 'bold';
+  };
+  report.categories.forEach(c => addRow(c, report.spend[c]));
+  addRow('Income', report.income, true);
+  addRow('Expenses', report.expenses, true);
+  return table;
+}
+
+function renderTopMerchantsTable(merchants) {
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Merchant', 'Transactions', 'Total Spent', 'Categories'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  merchants.forEach(m => {
+    const row = table.insertRow();
+    row.insertCell().textContent = m.name;
+    row.insertCell().textContent = m.count;
+    row.insertCell().textContent = m.total.toFixed(2);
+    row.insertCell().textContent = m.categories.join(', ');
+  });
+  return table;
+}
+
+function renderReports(categorized, open) {
+  const container = document.getElementById('reports');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const report = monthlyReport(categorized);
+  if (!report.months.length) return;
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  details.style.marginTop = '2rem';
+  const summary = document.createElement('summary');
+  summary.textContent = `Reports (${report.months[0]} to ${report.months[report.months.length - 1]})`;
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const section = text => {
+    const h = document.createElement('h4');
+    h.textContent = text;
+    details.appendChild(h);
+  };
+
+  section('Spending by Category and Month');
+  details.appendChild(renderStackedBarChart(report));
+  details.appendChild(renderCategoryMonthTable(report));
+
+  section('Income vs. Expenses');
+  details.appendChild(renderIncomeExpenseChart(report));
+
+  section('Top Merchants');
+  details.appendChild(renderTopMerchantsTable(topMerchants(categorized)));
+
+  container.appendChild(details);
+}
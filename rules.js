@@ -0,0 +1,625 @@
+// ==== CATEGORY RULES ====
+// Structured rules replace the old keyword -> category map in
+// 'customCategories'. Rules are checked highest priority first; at equal
+// priority the longer pattern wins (the old "longest keyword wins" order), and
+// a user rule beats a built-in CATEGORIES keyword. First match wins.
+//
+// Rule shape:
+// {
+//   id: 'rule-1714850000000-0',
+//   category: 'Groceries',
+//   enabled: true,
+//   match: 'word',        // 'word' (whole word), 'contains', 'startsWith' or 'regex'
+//   pattern: 'WALMART',   // tested against the cleaned, uppercase description
+//   sign: 'expense',      // 'expense', 'income' or 'any'
+//   minAmount: null,      // absolute amount bounds, inclusive
+//   maxAmount: null,
+//   dayFrom: null,        // day-of-month bounds, inclusive
+//   dayTo: null,
+//   account: '',          // only rows from this ledger account
+//   profile: '',          // only rows imported with this profile
+//   priority: 0           // higher is checked first
+// }
+
+const RULES_KEY = 'categoryRules';
+const RULE_SETTINGS_KEY = 'ruleSettings';
+// keyword -> { enabled: false } for built-in CATEGORIES the user turned off
+const BUILT_IN_OVERRIDES_KEY = 'builtInRuleOverrides';
+
+const RULE_MATCH_TYPES = [
+  ['word', 'Whole word'],
+  ['contains', 'Contains'],
+  ['startsWith', 'Starts with'],
+  ['regex', 'Regular expression']
+];
+
+const RULE_SIGNS = [
+  ['expense', 'Expenses only'],
+  ['income', 'Income only'],
+  ['any', 'Expenses and income']
+];
+
+let ruleIdCounter = 0;
+
+function newRuleId() {
+  return `rule-${Date.now()}-${ruleIdCounter++}`;
+}
+
+function makeRule(fields) {
+  return {
+    id: newRuleId(),
+    category: '',
+    enabled: true,
+    match: 'word',
+    pattern: '',
+    sign: 'expense',
+    minAmount: null,
+    maxAmount: null,
+    dayFrom: null,
+    dayTo: null,
+    account: '',
+    profile: '',
+    priority: 0,
+    ...fields
+  };
+}
+
+function getRules() {
+  const stored = readStored(RULES_KEY);
+  if (stored) return stored;
+
+  // Older versions kept keyword -> category pairs in 'customCategories'
+  const legacy = readStored('customCategories', {});
+  const rules = Object.keys(legacy).map(keyword => makeRule({ pattern: keyword.toUpperCase(), category: legacy[keyword] }));
+  saveRules(rules);
+  removeStored('customCategories');
+  return rules;
+}
+
+function saveRules(rules) {
+  writeStored(RULES_KEY, rules);
+}
+
+// Keyword rules created from the Assign Selected flow replace any rule for the same keyword
+function addKeywordRule(keyword, category, priority = 0) {
+  const pattern = String(keyword).trim().toUpperCase();
+  const rules = getRules().filter(r => !(r.match === 'word' && r.pattern === pattern));
+  rules.unshift(makeRule({ pattern, category, priority }));
+  saveRules(rules);
+}
+
+/**
+ * Lowest priority at which candidate would categorize every row it matches,
+ * i.e. one above the highest-priority rule that currently takes any of them.
+ */
+function priorityToWin(rows, candidate) {
+  const settings = getRuleSettings();
+  const others = getActiveRules().filter(r => !(r.match === 'word' && r.pattern === candidate.pattern));
+  let needed = rulePriority(candidate);
+
+  rows.forEach(row => {
+    const txn = { ...row, Amount: parseFloat(row.Amount), Description: categoryDesc(row.Description) };
+    if (!ruleMatches(candidate, txn, settings)) return;
+    const ranked = sortRules([...others, { ...candidate, priority: needed }]);
+    const winner = findMatchingRule(txn, ranked, settings);
+    if (winner && winner.id !== candidate.id) needed = rulePriority(winner) + 1;
+  });
+
+  return needed;
+}
+
+// ==== MANUAL OVERRIDES ====
+// One-off categories for single transactions, keyed by the ledger fingerprint
+// (Id) so they survive re-categorization without creating a keyword rule.
+
+const OVERRIDES_KEY = 'categoryOverrides';
+
+function getOverrides() {
+  return readStored(OVERRIDES_KEY, {});
+}
+
+function saveOverrides(overrides) {
+  writeStored(OVERRIDES_KEY, overrides);
+}
+
+function setOverrides(ids, category) {
+  const overrides = getOverrides();
+  ids.forEach(id => { overrides[id] = category; });
+  saveOverrides(overrides);
+}
+
+function clearOverrides(ids) {
+  const overrides = getOverrides();
+  ids.forEach(id => { delete overrides[id]; });
+  saveOverrides(overrides);
+}
+
+function getRuleSettings() {
+  return { refundsFollowRules: false, ...readStored(RULE_SETTINGS_KEY, {}) };
+}
+
+function saveRuleSettings(settings) {
+  writeStored(RULE_SETTINGS_KEY, settings);
+}
+
+function getBuiltInOverrides() {
+  return readStored(BUILT_IN_OVERRIDES_KEY, {});
+}
+
+function saveBuiltInOverrides(overrides) {
+  writeStored(BUILT_IN_OVERRIDES_KEY, overrides);
+}
+
+function setBuiltInEnabled(keyword, enabled) {
+  const overrides = getBuiltInOverrides();
+  if (enabled) delete overrides[keyword];
+  else overrides[keyword] = { enabled: false };
+  saveBuiltInOverrides(overrides);
+}
+
+function getBuiltInRules() {
+  const overrides = getBuiltInOverrides();
+  return Object.keys(CATEGORIES)
+    .sort((a, b) => b.length - a.length)
+    .map(keyword => ({
+      ...makeRule({ pattern: keyword, category: CATEGORIES[keyword] }),
+      id: `builtin:${keyword}`,
+      builtIn: true,
+      enabled: !(overrides[keyword] && overrides[keyword].enabled === false)
+    }));
+}
+
+function rulePriority(rule) {
+  return Number(rule.priority) || 0;
+}
+
+/**
+ * Orders rules the way categorizeTransactions checks them: priority, then
+ * pattern length, then user rules before built-ins. The sort is stable, so
+ * otherwise equal user rules keep their list order.
+ */
+function sortRules(rules) {
+  return rules.slice().sort((a, b) =>
+    rulePriority(b) - rulePriority(a) ||
+    String(b.pattern || '').length - String(a.pattern || '').length ||
+    (a.builtIn ? 1 : 0) - (b.builtIn ? 1 : 0)
+  );
+}
+
+function getActiveRules() {
+  return sortRules([...getRules(), ...getBuiltInRules()].filter(r => r.enabled !== false));
+}
+
+// Every category name used by a rule or as a group, for dropdowns
+function getRuleCategories() {
+  return [...new Set([
+    ...[...getRules(), ...getBuiltInRules()].map(r => r.category),
+    ...Object.values(getOverrides()),
+    ...splitCategories(),
+    ...Object.values(getCategoryParents())
+  ].filter(Boolean))];
+}
+
+function buildRulePattern(rule) {
+  const pattern = String(rule.pattern || '');
+  if (!pattern.trim()) return null;
+  if (rule.match === 'word') return buildMatchRegex(pattern);
+  if (rule.match === 'regex') {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (err) {
+      return null;
+    }
+  }
+  const escaped = pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(rule.match === 'startsWith' ? `^${escaped}` : escaped, 'i');
+}
+
+function isBlank(v) {
+  return v === null || v === undefined || v === '';
+}
+
+/**
+ * Checks one rule against a transaction.
+ * txn: { Description (cleaned), Amount, Date, Account, Profile }
+ * settings.refundsFollowRules lets positive amounts match expense rules, so a
+ * refund lands in the same category as the purchase.
+ */
+function ruleMatches(rule, txn, settings) {
+  const amount = Number(txn.Amount) || 0;
+  const isIncome = amount > 0;
+
+  if (rule.sign === 'expense' && isIncome && !settings.refundsFollowRules) return false;
+  if (rule.sign === 'income' && !isIncome) return false;
+
+  const abs = Math.abs(amount);
+  if (!isBlank(rule.minAmount) && abs < Number(rule.minAmount)) return false;
+  if (!isBlank(rule.maxAmount) && abs > Number(rule.maxAmount)) return false;
+
+  if (!isBlank(rule.dayFrom) || !isBlank(rule.dayTo)) {
+    const day = parseInt(String(txn.Date || '').slice(8, 10), 10);
+    if (!day) return false;
+    if (!isBlank(rule.dayFrom) && day < Number(rule.dayFrom)) return false;
+    if (!isBlank(rule.dayTo) && day > Number(rule.dayTo)) return false;
+  }
+
+  if (rule.account && rule.account !== txn.Account) return false;
+  if (rule.profile && rule.profile !== txn.Profile) return false;
+
+  if (!rule.pattern) return true;
+  const rx = buildRulePattern(rule);
+  return !!rx && rx.test(String(txn.Description || ''));
+}
+
+// Returns the first matching rule, or null
+function findMatchingRule(txn, rules, settings) {
+  return rules.find(rule => ruleMatches(rule, txn, settings)) || null;
+}
+
+// ==== RULE FORM ====
+
+function ruleField(text, control) {
+  const label = document.createElement('label');
+  label.style.display = 'inline-block';
+  label.style.margin = '0.25rem 0.75rem 0.25rem 0';
+  label.textContent = text + ' ';
+  label.appendChild(control);
+  return label;
+}
+
+function ruleSelect(options, value) {
+  const select = document.createElement('select');
+  options.forEach(([val, label]) => {
+    const opt = document.createElement('option');
+    opt.value = val;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+  select.value = value;
+  return select;
+}
+
+function ruleInput(value, type = 'text', width = '6rem') {
+  const input = document.createElement('input');
+  input.type = type;
+  input.value = isBlank(value) ? '' : value;
+  input.style.width = width;
+  return input;
+}
+
+/**
+ * Builds a form for one rule. onSave receives the edited rule; the form does
+ * not save anything itself.
+ */
+function buildRuleForm(rule, onSave, saveLabel = 'Add Rule') {
+  const form = document.createElement('div');
+  form.style.padding = '0.5rem 0';
+
+  const accounts = [...new Set((CURRENT_ROWS || []).map(r => r.Account).filter(Boolean))];
+  const profiles = [...new Set((CURRENT_ROWS || []).map(r => r.Profile).filter(Boolean))];
+
+  const category = ruleInput(rule.category, 'text', '10rem');
+  const categoryList = document.createElement('datalist');
+  categoryList.id = `rule-categories-${rule.id}`;
+  category.setAttribute('list', categoryList.id);
+  getRuleCategories().forEach(c => {
+    const opt = document.createElement('option');
+    opt.value = c;
+    categoryList.appendChild(opt);
+  });
+
+  const match = ruleSelect(RULE_MATCH_TYPES, rule.match);
+  const pattern = ruleInput(rule.pattern, 'text', '12rem');
+  const sign = ruleSelect(RULE_SIGNS, rule.sign);
+  const minAmount = ruleInput(rule.minAmount, 'number');
+  const maxAmount = ruleInput(rule.maxAmount, 'number');
+  const dayFrom = ruleInput(rule.dayFrom, 'number', '4rem');
+  const dayTo = ruleInput(rule.dayTo, 'number', '4rem');
+  // Keep a saved account/format selectable even when no loaded row uses it
+  if (rule.account && !accounts.includes(rule.account)) accounts.push(rule.account);
+  if (rule.profile && !profiles.includes(rule.profile)) profiles.push(rule.profile);
+  const account = ruleSelect([['', 'Any account'], ...accounts.map(a => [a, a])], rule.account || '');
+  const profile = ruleSelect([['', 'Any format'], ...profiles.map(p => [p, p])], rule.profile || '');
+  const priority = ruleInput(rulePriority(rule), 'number', '4rem');
+
+  form.appendChild(ruleField('Category:', category));
+  form.appendChild(categoryList);
+  form.appendChild(ruleField('Description', match));
+  form.appendChild(pattern);
+  form.appendChild(document.createElement('br'));
+  form.appendChild(ruleField('Applies to:', sign));
+  form.appendChild(ruleField('Amount from $', minAmount));
+  form.appendChild(ruleField('to $', maxAmount));
+  form.appendChild(ruleField('Day of month from', dayFrom));
+  form.appendChild(ruleField('to', dayTo));
+  form.appendChild(ruleField('Account:', account));
+  form.appendChild(ruleField('Format:', profile));
+  form.appendChild(ruleField('Priority:', priority));
+
+  const numberOrNull = input => (input.value === '' ? null : Number(input.value));
+
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = saveLabel;
+  saveBtn.onclick = () => {
+    const edited = {
+      ...rule,
+      category: category.value.trim(),
+      match: match.value,
+      pattern: match.value === 'regex' ? pattern.value.trim() : pattern.value.trim().toUpperCase(),
+      sign: sign.value,
+      minAmount: numberOrNull(minAmount),
+      maxAmount: numberOrNull(maxAmount),
+      dayFrom: numberOrNull(dayFrom),
+      dayTo: numberOrNull(dayTo),
+      account: account.value,
+      profile: profile.value,
+      priority: Number(priority.value) || 0
+    };
+
+    if (!edited.category) return alert('Please enter a category.');
+    if (edited.pattern && !buildRulePattern(edited)) return alert('That regular expression is not valid.');
+    const hasCondition = edited.pattern || !isBlank(edited.minAmount) || !isBlank(edited.maxAmount) ||
+      !isBlank(edited.dayFrom) || !isBlank(edited.dayTo) || edited.account || edited.profile;
+    if (!hasCondition) return alert('Please add at least one condition.');
+
+    onSave(edited);
+  };
+  form.appendChild(document.createElement('br'));
+  form.appendChild(saveBtn);
+
+  return form;
+}
+
+// ==== RULE MANAGEMENT ====
+
+let editingRuleId = null;
+
+function describeRule(rule) {
+  const parts = [];
+  const matchLabel = (RULE_MATCH_TYPES.find(([v]) => v === rule.match) || [, rule.match])[1];
+  if (rule.pattern) parts.push(`${matchLabel.toLowerCase()} "${rule.pattern}"`);
+  parts.push((RULE_SIGNS.find(([v]) => v === rule.sign) || [, rule.sign])[1].toLowerCase());
+  if (!isBlank(rule.minAmount) || !isBlank(rule.maxAmount)) {
+    parts.push(`$${isBlank(rule.minAmount) ? '0' : rule.minAmount}–${isBlank(rule.maxAmount) ? 'any' : '$' + rule.maxAmount}`);
+  }
+  if (!isBlank(rule.dayFrom) || !isBlank(rule.dayTo)) {
+    parts.push(`days ${isBlank(rule.dayFrom) ? 1 : rule.dayFrom}–${isBlank(rule.dayTo) ? 31 : rule.dayTo}`);
+  }
+  if (rule.account) parts.push(`account ${rule.account}`);
+  if (rule.profile) parts.push(`format ${rule.profile}`);
+  return parts.join('; ');
+}
+
+function ruleLabel(rule) {
+  return rule.pattern ? `"${rule.pattern}"` : describeRule(rule);
+}
+
+/**
+ * Runs every rule (enabled or not) over the loaded rows.
+ * Returns { [ruleId]: { matches, wins, shadowedBy: { label: count } } }:
+ * matches counts rows the rule's conditions fit, wins counts rows it actually
+ * categorizes, and shadowedBy names the earlier rules that took the rest.
+ */
+function analyzeRules(rows, rules, settings) {
+  const stats = {};
+  rules.forEach(r => { stats[r.id] = { matches: 0, wins: 0, shadowedBy: {} }; });
+
+  rows.forEach(row => {
+    const txn = { ...row, Amount: parseFloat(row.Amount), Description: categoryDesc(row.Description) };
+    let winner = null;
+    for (const rule of rules) {
+      if (!ruleMatches(rule, txn, settings)) continue;
+      const s = stats[rule.id];
+      s.matches++;
+      if (rule.enabled === false) continue;
+      if (!winner) {
+        winner = rule;
+        s.wins++;
+      } else {
+        const label = ruleLabel(winner);
+        s.shadowedBy[label] = (s.shadowedBy[label] || 0) + 1;
+      }
+    }
+  });
+
+  return stats;
+}
+
+function updateRule(id, changes) {
+  saveRules(getRules().map(r => (r.id === id ? { ...r, ...changes } : r)));
+}
+
+function afterRuleChange() {
+  renderRulesPanel(true);
+  refreshResults();
+}
+
+function ruleButton(text, onClick) {
+  const btn = document.createElement('button');
+  btn.textContent = text;
+  btn.style.marginRight = '0.25rem';
+  btn.onclick = onClick;
+  return btn;
+}
+
+function buildRuleTester(rules, settings) {
+  const wrap = document.createElement('div');
+  wrap.style.margin = '0.75rem 0';
+
+  const desc = ruleInput('', 'text', '16rem');
+  desc.placeholder = 'e.g., COSTCO GAS 1234';
+  const amount = ruleInput(-10, 'number');
+  const date = ruleInput('', 'date', '9rem');
+  const result = document.createElement('div');
+  result.style.marginTop = '0.25rem';
+
+  const run = () => {
+    if (!desc.value.trim()) {
+      result.textContent = '';
+      return;
+    }
+    const txn = { Description: categoryDesc(desc.value), Amount: Number(amount.value) || 0, Date: date.value };
+    const matching = rules.filter(r => r.enabled !== false && ruleMatches(r, txn, settings));
+    const fallback = txn.Amount > 0 ? 'Income' : 'Uncategorized';
+    result.textContent = matching.length
+      ? `→ ${matching[0].category} (by ${ruleLabel(matching[0])})` +
+        (matching.length > 1 ? `. Also matches: ${matching.slice(1).map(r => `${ruleLabel(r)} → ${r.category}`).join(', ')}` : '')
+      : `→ ${fallback} (no rule matches)`;
+  };
+  [desc, amount, date].forEach(el => el.addEventListener('input', run));
+
+  wrap.appendChild(ruleField('Test a description:', desc));
+  wrap.appendChild(ruleField('Amount:', amount));
+  wrap.appendChild(ruleField('Date:', date));
+  wrap.appendChild(result);
+  return wrap;
+}
+
+function buildRulesTable(rules, settings) {
+  const stats = analyzeRules(CURRENT_ROWS || [], rules, settings);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['#', 'Source', 'Conditions', 'Category', 'Priority', 'Matches', 'Notes', 'Actions'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+
+  rules.forEach((rule, i) => {
+    const row = table.insertRow();
+
+    if (rule.id === editingRuleId) {
+      const cell = row.insertCell();
+      cell.colSpan = 8;
+      cell.appendChild(buildRuleForm(rule, edited => {
+        editingRuleId = null;
+        recordAction(`Edit rule ${ruleLabel(rule)}`, () => updateRule(rule.id, edited));
+        afterRuleChange();
+      }, 'Save Rule'));
+      cell.appendChild(ruleButton('Cancel', () => {
+        editingRuleId = null;
+        renderRulesPanel(true);
+      }));
+      return;
+    }
+
+    if (rule.enabled === false) row.style.color = '#999';
+    const s = stats[rule.id];
+    row.insertCell().textContent = i + 1;
+    row.insertCell().textContent = rule.builtIn ? 'Built-in' : 'Yours';
+    row.insertCell().textContent = describeRule(rule) + (rule.enabled === false ? ' (disabled)' : '');
+    row.insertCell().textContent = rule.category;
+    row.insertCell().textContent = rulePriority(rule);
+    row.insertCell().textContent = CURRENT_ROWS.length ? `${s.wins} of ${s.matches}` : '–';
+
+    const shadows = Object.entries(s.shadowedBy).map(([label, n]) => `${n} taken by ${label}`);
+    const notes = row.insertCell();
+    notes.textContent = shadows.length ? `Shadowed: ${shadows.join(', ')}` : '';
+    if (shadows.length) notes.style.color = '#a60';
+
+    const actions = row.insertCell();
+    if (rule.builtIn) {
+      const keyword = rule.pattern;
+      actions.appendChild(ruleButton('Override', () => {
+        // An editable copy replaces the built-in keyword
+        const copy = makeRule({ pattern: keyword, category: rule.category });
+        recordAction(`Override built-in "${keyword}"`, () => {
+          saveRules([...getRules(), copy]);
+          setBuiltInEnabled(keyword, false);
+        });
+        editingRuleId = copy.id;
+        afterRuleChange();
+      }));
+      actions.appendChild(ruleButton(rule.enabled === false ? 'Enable' : 'Disable', () => {
+        recordAction(`${rule.enabled === false ? 'Enable' : 'Disable'} built-in "${keyword}"`,
+          () => setBuiltInEnabled(keyword, rule.enabled === false));
+        afterRuleChange();
+      }));
+      return;
+    }
+
+    actions.appendChild(ruleButton('Edit', () => {
+      editingRuleId = rule.id;
+      renderRulesPanel(true);
+    }));
+    actions.appendChild(ruleButton(rule.enabled === false ? 'Enable' : 'Disable', () => {
+      recordAction(`${rule.enabled === false ? 'Enable' : 'Disable'} rule ${ruleLabel(rule)}`,
+        () => updateRule(rule.id, { enabled: rule.enabled === false }));
+      afterRuleChange();
+    }));
+    actions.appendChild(ruleButton('▲', () => {
+      recordAction(`Raise priority of ${ruleLabel(rule)}`,
+        () => updateRule(rule.id, { priority: rulePriority(rule) + 1 }));
+      afterRuleChange();
+    }));
+    actions.appendChild(ruleButton('▼', () => {
+      recordAction(`Lower priority of ${ruleLabel(rule)}`,
+        () => updateRule(rule.id, { priority: rulePriority(rule) - 1 }));
+      afterRuleChange();
+    }));
+    actions.appendChild(ruleButton('Delete', () => {
+      if (!confirm(`Delete the rule ${ruleLabel(rule)} → ${rule.category}?`)) return;
+      recordAction(`Delete rule ${ruleLabel(rule)}`, () => saveRules(getRules().filter(r => r.id !== rule.id)));
+      afterRuleChange();
+    }));
+  });
+
+  return table;
+}
+
+// open: true/false to force the panel state; omitted keeps it as it was
+function renderRulesPanel(open) {
+  const container = document.getElementById('rules-panel');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Category Rules';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'Higher priority rules are checked first. At equal priority the longer keyword wins, ' +
+    'and your rules win over built-in keywords. Income that matches no rule goes to Income.';
+  details.appendChild(intro);
+
+  const settings = getRuleSettings();
+  const refundBox = document.createElement('input');
+  refundBox.type = 'checkbox';
+  refundBox.checked = settings.refundsFollowRules;
+  refundBox.addEventListener('change', () => {
+    saveRuleSettings({ ...getRuleSettings(), refundsFollowRules: refundBox.checked });
+    refreshResults();
+  });
+  const refundLabel = document.createElement('label');
+  refundLabel.appendChild(refundBox);
+  refundLabel.appendChild(document.createTextNode(
+    ' Put refunds in the same category as the purchase (positive amounts can match expense rules)'
+  ));
+  details.appendChild(refundLabel);
+  details.appendChild(buildHistoryBar());
+
+  const allRules = sortRules([...getRules(), ...getBuiltInRules()]);
+  details.appendChild(buildRuleTester(allRules, settings));
+
+  const listNote = document.createElement('p');
+  listNote.textContent = 'Rules in the order they are checked. Matches shows how many loaded transactions each ' +
+    'rule categorizes out of how many fit its conditions. ▲/▼ change priority.';
+  details.appendChild(listNote);
+  details.appendChild(buildRulesTable(allRules, settings));
+
+  const heading = document.createElement('h4');
+  heading.textContent = 'Add a Rule';
+  details.appendChild(heading);
+  details.appendChild(buildRuleForm(makeRule({}), rule => {
+    recordAction(`Add rule ${ruleLabel(rule)} → ${rule.category}`, () => saveRules([...getRules(), rule]));
+    afterRuleChange();
+  }));
+
+  container.appendChild(details);
+}
@@ -11,18 +11,31 @@ function normalizeAmount(raw) {
   return parenNeg ? -Math.abs(n) : n;
 }
 
-function normalizeDate(raw) {
+// format is the field order of non-ISO dates: 'MDY' (default), 'DMY' or 'YMD'.
+// A four-digit first field is always a year (2024/01/05). Returns '' for
+// anything that isn't a real calendar date.
+function normalizeDate(raw, format = 'MDY') {
   if (!raw) return '';
   const s = String(raw).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;      // ISO already
-  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s); // MM/DD/YYYY
-  if (m) {
-    const mm = m[1].padStart(2, '0');
-    const dd = m[2].padStart(2, '0');
-    const yyyy = m[3];
-    return `${yyyy}-${mm}-${dd}`;
-  }
-  return s;
+  const m = /^(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{1,4})$/.exec(s); // MM/DD/YYYY and friends
+  if (!m) return '';
+  let [, a, b, c] = m;
+  if (a.length === 4 || format === 'YMD') [a, b, c] = [b, c, a];
+  else if (format === 'DMY') [a, b] = [b, a];
+  if (c.length !== 2 && c.length !== 4) return '';
+  const yyyy = c.length === 2 ? `20${c}` : c;
+  const iso = `${yyyy}-${a.padStart(2, '0')}-${b.padStart(2, '0')}`;
+
+  // Date rolls 02/30 over into March, so a real date survives the round trip
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : '';
+}
+
+// Pending/Posted from bank STATUS columns; empty when the bank doesn't say
+function normalizeStatus(raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  if (!s) return '';
+  return s.startsWith('pend') ? 'Pending' : 'Posted';
 }
 
 function cleanDesc(desc) {
@@ -35,46 +48,17 @@ function cleanDesc(desc) {
 }
 
 /**
- * Detects which CSV shape we have by inspecting the first row.
- * Returns one of: 'YourBank_NoHeader_5Cols', 'WellsFargo_WithHeaders', 'USBank_WithHeaders', 'USBank_NoHeaderBody'
+ * Detects which CSV shape we have by inspecting the first row (and, for
+ * profiles with an anyRow check, the rest of the file).
+ * Returns the name of the first matching profile (custom profiles first, then
+ * BUILT_IN_PROFILES in profiles.js), or 'Unknown'.
  */
-function detectProfile(firstRow) {
+function detectProfile(firstRow, rows) {
   // firstRow is an array of cells
   if (!firstRow || firstRow.length < 3) return 'Unknown';
 
-  const c0 = String(firstRow[0] || '').replace(/"/g,'').trim();
-  const c1 = String(firstRow[1] || '').replace(/"/g,'').trim();
-  const c2 = String(firstRow[2] || '').replace(/"/g,'').trim();
-  const c3 = String(firstRow[3] || '').replace(/"/g,'').trim();
-  const c4 = String(firstRow[4] || '').replace(/"/g,'').trim();
-
-  // Exact header row for US Bank
-  if (c0.toLowerCase() === 'date' && c1.toLowerCase() === 'transaction' &&
-      c2.toLowerCase() === 'name' && c3.toLowerCase() === 'memo' &&
-      c4.toLowerCase() === 'amount') {
-    return 'USBank_WithHeaders';
-  }
-
-  // Current Wells Fargo checking export: DATE, DESCRIPTION, AMOUNT, CHECK #, STATUS
-  if (c0.toLowerCase() === 'date' && c1.toLowerCase() === 'description' &&
-      c2.toLowerCase() === 'amount' && c3.toLowerCase().replace(/\s/g, '') === 'check#' &&
-      c4.toLowerCase() === 'status') {
-    return 'WellsFargo_WithHeaders';
-  }
-
-  // Legacy Wells Fargo body row: MM/DD/YYYY, <amount>, *, <empty>, <desc>
-  const looksMDY = /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(c0);
-  if (looksMDY && c2 === '*') {
-    return 'YourBank_NoHeader_5Cols';
-  }
-
-  // US Bank body without header: first col looks ISO date and 5+ columns
-  const looksISO = /^\d{4}-\d{2}-\d{2}$/.test(c0);
-  if (looksISO && firstRow.length >= 5) {
-    return 'USBank_NoHeaderBody';
-  }
-
-  return 'Unknown';
+  const profile = [...getCustomProfiles(), ...BUILT_IN_PROFILES].find(p => profileMatches(p, firstRow, rows));
+  return profile ? profile.name : 'Unknown';
 }
 // ==== RULE / KEYWORD HELPERS ====
 
@@ -119,16 +103,12 @@ function buildMatchRegex(keyword) {
   return new RegExp(`\\b${escaped}\\b`, 'i');
 }
 
+// Rows the keyword rule Assign Selected would save matches. Counted by
+// analyzeRules, the same path as the Matches column in the rules panel.
 function countMatchesInData(allRows, keyword) {
-  const rx = buildMatchRegex(keyword);
-  if (!rx) return 0;
-
-  let count = 0;
-  for (const row of allRows) {
-    const desc = String(row.Description || '').toUpperCase();
-    if (rx.test(desc)) count++;
-  }
-  return count;
+  if (!buildMatchRegex(keyword)) return 0;
+  const rule = makeRule({ pattern: keyword });
+  return analyzeRules(allRows, [rule], getRuleSettings())[rule.id].matches;
 }
 
 function getTopKeywordSuggestions(selectedDescs, max = 8) {
@@ -146,13 +126,26 @@ function getTopKeywordSuggestions(selectedDescs, max = 8) {
     .slice(0, max);
 }
 
+// Stored data is loaded once; anything that reads it waits for this
+const storageReady = initStorage().then(async () => {
+  if (isStorageLocked()) await showLockScreen();
+  renderRulesPanel();
+  renderCategoriesPanel();
+  renderBudgetsPanel();
+  renderBackupPanel();
+  renderEncryptionPanel();
+  if (isStorageEncrypted()) startAutoLock();
+  restoreSession();
+});
+
 document.getElementById('drop-zone').addEventListener('click', () => {
   document.getElementById('file-input').click();
 });
 
 document.getElementById('file-input').addEventListener('change', (e) => {
-  const file = e.target.files[0];
-  if (file) handleCSV(file);
+  const files = Array.from(e.target.files || []);
+  if (files.length) handleFiles(files);
+  e.target.value = '';
 });
 
 document.getElementById('drop-zone').addEventListener('dragover', (e) => {
@@ -162,143 +155,218 @@ document.getElementById('drop-zone').addEventListener('dragover', (e) => {
 
 document.getElementById('drop-zone').addEventListener('drop', (e) => {
   e.preventDefault();
-  const file = e.dataTransfer.files[0];
-  if (file) handleCSV(file);
+  const files = Array.from(e.dataTransfer.files || []);
+  if (files.length) handleFiles(files);
 });
 
 
-function handleCSV(file) {
+async function handleFiles(files) {
   document.getElementById('instructions').style.display = 'none';
+  document.getElementById('session-banner').innerHTML = '';
+
+  await storageReady;
+  const ledger = getLedger();
+  const results = [];
+  const imports = [];
+
+  // Parse one file at a time so the ledger sees statements in drop order
+  for (const file of files) {
+    const parsed = await parseFile(file);
+    if (!parsed) {
+      results.push({ fileName: file.name, status: 'skipped' });
+      continue;
+    }
+    if (!parsed.rows.length) {
+      results.push({ fileName: file.name, status: 'empty' });
+      continue;
+    }
+    imports.push({
+      fileName: file.name,
+      profile: parsed.profile,
+      rows: parsed.rows,
+      account: suggestAccount(parsed, file.name),
+      named: !!parsed.account
+    });
+  }
 
-  // First, parse a peek at the first row (no headers) to detect profile
-  Papa.parse(file, {
-    header: false,
-    preview: 1,
-    complete: function(previewRes) {
-      const firstRow = (previewRes && previewRes.data && previewRes.data[0]) || null;
-      const profile = detectProfile(firstRow);
-      console.log('Detected CSV profile:', profile);
-
-      // Parse full file (no headers) to keep things consistent
-      Papa.parse(file, {
-        header: false,
-        skipEmptyLines: true,
-        complete: function(fullRes) {
-          let rows = fullRes.data || [];
-          if (!rows.length) {
-            alert('No rows found in CSV.');
-            return;
-          }
+  // Confirm which account each file belongs to
+  let statements = [];
+  if (imports.length) {
+    const accounts = await chooseAccounts(imports, knownAccounts(ledger.transactions));
+    if (!accounts) return;
+    rememberAccounts(imports, accounts);
+    statements = imports.map((imp, i) => {
+      const info = { account: accounts[i], profile: imp.profile, fileName: imp.fileName };
+      return { info, rows: prepareStatement(info, imp.rows) };
+    });
+  }
 
-          // Drop known header rows after profile detection
-          if (profile === 'USBank_WithHeaders' || profile === 'WellsFargo_WithHeaders') {
-            rows = rows.slice(1);
-          }
+  // Let the user decide on likely duplicates before anything is saved
+  const duplicates = findLikelyDuplicates(ledger, statements.map(s => s.rows));
+  if (duplicates.length) {
+    const decisions = await reviewDuplicates(duplicates);
+    if (!decisions) return;
+    const replaced = applyDuplicateDecisions(ledger, statements, decisions);
+    const skipped = decisions.filter(d => d.action === 'skip').length;
+    results.push({ status: 'reviewed', reviewed: decisions.length, replaced, skipped });
+  }
 
-          // Map rows to canonical shape
-          const mapped = rows.map(r => {
-            // Ensure we have at least 5 cells
-            const c0 = r[0], c1 = r[1], c2 = r[2], c3 = r[3], c4 = r[4];
-
-            if (profile === 'YourBank_NoHeader_5Cols') {
-              return {
-                Date: normalizeDate(c0),
-                Amount: normalizeAmount(c1),
-                Description: cleanDesc(c4)
-              };
-            }
-
-            if (profile === 'WellsFargo_WithHeaders') {
-              return {
-                Date: normalizeDate(c0),
-                Amount: normalizeAmount(c2),
-                Description: cleanDesc(c1)
-              };
-            }
-
-            // Both US Bank shapes (header or no header) share same column order: Date, Transaction, Name, Memo, Amount
-            if (profile === 'USBank_WithHeaders' || profile === 'USBank_NoHeaderBody') {
-              const name = c2 || '';
-              const memo = c3 || '';
-              return {
-                Date: normalizeDate(c0),
-                Amount: normalizeAmount(c4),
-                Description: cleanDesc((name + ' ' + memo).trim())
-              };
-            }
-
-            // Unknown: best-effort guess
-            return {
-              Date: normalizeDate(c0),
-              Amount: normalizeAmount(c1),
-              Description: cleanDesc((c2 || '') + ' ' + (c3 || '') + ' ' + (c4 || ''))
-            };
-          });
-          // Persist, categorize, display
-          localStorage.setItem('last-transactions', JSON.stringify(mapped));
-          CURRENT_ROWS = mapped;
-          const categorized = categorizeTransactions(mapped);
-          displayResults(categorized);
-        }
-      });
-    }
+  statements.forEach(s => results.push(mergeStatement(ledger, s.info, s.rows)));
+
+  // Persist, categorize, display
+  saveLedger(ledger);
+  CURRENT_ROWS = ledger.transactions;
+  renderLedgerSummary(ledger, results);
+  renderRulesPanel();
+  renderBudgetsPanel();
+  const categorized = categorizeTransactions(CURRENT_ROWS);
+  displayResults(categorized);
+}
+
+/**
+ * Reads one dropped file (CSV, OFX/QFX or QIF) into canonical rows.
+ * Resolves to { profile, rows, account? }, or null when the user skips it.
+ */
+async function parseFile(file) {
+  const text = await file.text();
+  const format = sniffFileFormat(file.name, text);
+  if (format === 'OFX') return parseOFX(text);
+  if (format === 'QIF') return parseQIF(text);
+
+  const parsed = await parseCSVText(text, file.name);
+  let profile = parsed.profile;
+
+  // Unknown layouts go through the mapping wizard instead of a blind guess
+  if (profile === 'Unknown' && parsed.data.length) {
+    const custom = await openMappingWizard(file.name, parsed.data);
+    if (!custom) return null;
+    profile = custom.name;
+  }
+
+  return { profile, rows: mapCSVRows(profile, parsed.data) };
+}
+
+/**
+ * Parses CSV text into raw rows and detects its profile.
+ * Resolves to { profile, data }.
+ */
+function parseCSVText(text, fileName) {
+  return new Promise(resolve => {
+    // First, parse a peek at the first row (no headers) to detect profile
+    Papa.parse(text, {
+      header: false,
+      preview: 1,
+      complete: function(previewRes) {
+        const firstRow = (previewRes && previewRes.data && previewRes.data[0]) || null;
+
+        // Parse full file (no headers) to keep things consistent
+        Papa.parse(text, {
+          header: false,
+          skipEmptyLines: true,
+          complete: function(fullRes) {
+            const data = fullRes.data || [];
+            const profile = detectProfile(firstRow, data);
+            console.log('Detected CSV profile:', fileName, profile);
+            resolve({ profile, data });
+          }
+        });
+      }
+    });
   });
 }
 
-function getCustomCategories() {
-  return JSON.parse(localStorage.getItem('customCategories') || '{}');
+// Map raw CSV rows to canonical { Date, Amount, Description } rows
+function mapCSVRows(profileName, data) {
+  const profile = getProfile(profileName);
+  if (!profile) return data.map(r => mapColumns(UNKNOWN_COLUMNS, 'MDY', r));
+  return mapProfileRows(profile, data);
 }
 
-function saveCustomCategories(data) {
-  localStorage.setItem('customCategories', JSON.stringify(data));
+// Re-runs categorization over the loaded rows after rules change
+function refreshResults() {
+  if (!CURRENT_ROWS.length) return;
+  displayResults(categorizeTransactions(CURRENT_ROWS));
 }
 
-function getAllCategories() {
-  const baseCategories = CATEGORIES;
-  const custom = getCustomCategories();
-  return { ...baseCategories, ...custom };
+// The description rules are matched against (and shown in the results)
+function categoryDesc(description) {
+  return (description || '')
+    .replace(/PURCHASE AUTHORIZED ON \d{2}\/\d{2}/i, '')
+    .replace(/CARD \d+/i, '')
+    .replace(/\s{2,}/g, ' ')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, '')
+    .trim();
+}
+
+// Sets a manual category on the given rows unless the rules already put them there
+function pinUnmatched(ids, category) {
+  const idSet = new Set(ids);
+  clearOverrides(ids);
+  const byRules = categorizeTransactions(CURRENT_ROWS.filter(r => idSet.has(r.Id)));
+  const misses = Object.keys(byRules)
+    .filter(c => c !== category)
+    .flatMap(c => byRules[c].map(t => t.Id));
+  setOverrides(misses, category);
 }
 
 function categorizeTransactions(data) {
   const categorized = {};
-  const custom = getCustomCategories();
-
-  // Merge all categories and keywords
-  const allCats = { ...CATEGORIES, ...custom };
 
-  // Sort keywords by length (longest first) to prioritize specific matches
-  const sortedKeywords = Object.keys(allCats).sort((a, b) => b.length - a.length);
+  // User rules in priority order, then built-in keywords (longest first)
+  const rules = getActiveRules();
+  const settings = getRuleSettings();
+  // One-off categories set by hand win over every rule
+  const overrides = getOverrides();
+  const splits = getSplits();
+  const annotations = getAnnotations();
+  // Money moved between loaded accounts, paired over every loaded row;
+  // hand-set categories and splits opt a row out
+  const pool = Object.values(Object.fromEntries([...CURRENT_ROWS, ...data].map(r => [r.Id, r])));
+  const transfers = findTransfers(pool, new Set([...Object.keys(overrides), ...Object.keys(splits)]));
 
   data.forEach(row => {
-    let desc = (row.Description || '')
-      .replace(/PURCHASE AUTHORIZED ON \d{2}\/\d{2}/i, '')
-      .replace(/CARD \d+/i, '')
-      .replace(/\s{2,}/g, ' ')
-      .toUpperCase()
-      .replace(/[^A-Z0-9 ]/g, '')
-      .trim();
-
+    const desc = categoryDesc(row.Description);
     const amount = parseFloat(row.Amount);
-    let category = 'Uncategorized';
+    const notes = annotationFields(annotations[row.Id]);
+
+    // A split row is replaced by its lines, each in its own category
+    const lines = splits[row.Id];
+    if (lines) {
+      lines.forEach((line, i) => {
+        if (!categorized[line.category]) categorized[line.category] = [];
+        categorized[line.category].push({
+          ...row,
+          ...notes,
+          Amount: Number(line.amount),
+          Description: desc,
+          Manual: false,
+          Split: { index: i + 1, of: lines.length, total: amount, note: line.note || '' }
+        });
+      });
+      return;
+    }
 
-    if (amount > 0) {
-      category = 'Income';
+    const manual = overrides[row.Id];
+    const partner = transfers[row.Id];
+    let category = amount > 0 ? 'Income' : 'Uncategorized';
+    if (manual) {
+      category = manual;
+    } else if (partner) {
+      category = TRANSFER_CATEGORY;
     } else {
-      for (const keyword of sortedKeywords) {
-        const keywordUpper = keyword.toUpperCase();
-        const pattern = new RegExp(`\\b${keywordUpper}\\b`, 'i');
-        if (pattern.test(desc)) {
-          category = allCats[keyword];
-          break;
-        }
-      }
+      const rule = findMatchingRule({ ...row, Amount: amount, Description: desc }, rules, settings);
+      if (rule) category = rule.category;
     }
 
     if (!categorized[category]) categorized[category] = [];
     categorized[category].push({
-      Date: row.Date,
+      ...row,
+      ...notes,
       Amount: amount,
-      Description: desc
+      Description: desc,
+      Manual: !!manual,
+      ...(partner ? { Transfer: { id: partner.Id, account: partner.Account, date: partner.Date } } : {})
     });
   });
 
@@ -306,14 +374,11 @@ function categorizeTransactions(data) {
 }
 
 
-function displayResults(categorized) {
+// selected: transaction Ids to show as already checked (a restored session)
+function displayResults(categorized, selected = []) {
   const container = document.getElementById('results');
   container.innerHTML = '';
-
-  const summary = {
-    income: 0,
-    expenses: 0
-  };
+  recordCategories(categorized);
 
   const categories = Object.keys(categorized).sort((a, b) => {
     if (a === 'Uncategorized') return 1;
@@ -321,12 +386,16 @@ function displayResults(categorized) {
     return a.localeCompare(b);
   });
 
+  const budgetStatus = computeBudgetStatus(categorized);
+  const budgetWarningBox = renderBudgetWarnings(budgetStatus);
+  if (budgetWarningBox) container.appendChild(budgetWarningBox);
+
   const reassignDiv = document.createElement('div');
   reassignDiv.innerHTML = `<h3>Assign Selected to Category:</h3>`;
   const dropdown = document.createElement('select');
   const populateDropdown = () => {
     dropdown.innerHTML = '';
-    const allCats = [...new Set([...Object.values(getAllCategories()), 'New Category...'])];
+    const allCats = [...new Set([...getRuleCategories(), 'New Category...'])];
     allCats.forEach(cat => {
       const opt = document.createElement('option');
       opt.value = cat;
@@ -459,8 +528,9 @@ function displayResults(categorized) {
       chosenCategory = newCatName;
     }
 
-    // Gather selected descriptions
+    // Gather selected descriptions and transaction ids
     const selectedDescs = Array.from(selectedRows).map(x => x.dataset.desc || '').filter(Boolean);
+    const selectedIds = Array.from(selectedRows).map(x => x.dataset.id).filter(Boolean);
 
     // Build smarter suggestions (merchant-like tokens)
     const topTokens = getTopKeywordSuggestions(selectedDescs, 8);
@@ -493,47 +563,29 @@ function displayResults(categorized) {
     } else {
       // Original prompt flow, but with better suggestions
       const rawInput = prompt(
-        `Enter one or more keywords (comma separated) to associate with "${chosenCategory}":\nSuggested: ${suggested}`,
+        `Enter one or more keywords (comma separated) to associate with "${chosenCategory}":\nSuggested: ${suggested}\n\n` +
+        'Leave blank to label only the selected transactions without creating a rule.',
         defaultKw
       );
 
-      if (!rawInput) return alert("You must enter at least one keyword.");
+      if (rawInput === null) return;
 
       const keywords = rawInput
         .split(',')
         .map(k => k.trim().toUpperCase())
         .filter(k => k.length >= 3 && !/^\d+$/.test(k));
 
-      if (!keywords.length) return alert("You must enter at least one valid keyword (>= 3 chars).");
+      if (rawInput.trim() && !keywords.length) return alert("You must enter at least one valid keyword (>= 3 chars).");
 
-      // Save keyword rules
-      const custom = getCustomCategories();
-      keywords.forEach(keyword => {
-        custom[keyword] = chosenCategory;
-      });
-      saveCustomCategories(custom);
-      populateDropdown();
-
-      // Move only the selected transactions (existing behavior)
-      selectedRows.forEach(input => {
-        const desc = input.dataset.desc;
-        const date = input.dataset.date;
-        const amt = parseFloat(input.dataset.amt);
-        if (!categorized[chosenCategory]) categorized[chosenCategory] = [];
-        categorized[chosenCategory].push({ Date: date, Amount: amt, Description: desc });
-      });
+      recordAction(`Assign ${selectedIds.length} to ${chosenCategory}`, () => {
+        // Save keyword rules
+        keywords.slice().reverse().forEach(keyword => addKeywordRule(keyword, chosenCategory));
 
-      // Remove from old category
-      for (const category in categorized) {
-        if (category === chosenCategory) continue;
-        categorized[category] = categorized[category].filter(txn =>
-          !Array.from(selectedRows).some(input =>
-            input.dataset.desc === txn.Description && input.dataset.date === txn.Date
-          )
-        );
-      }
-
-      return displayResults(categorized);
+        // Pin the selected transactions the new rules don't already cover
+        pinUnmatched(selectedIds, chosenCategory);
+      });
+      renderRulesPanel();
+      return refreshResults();
     }
 
     // ---- APPLY-ALL-MATCHING PATH (structured rule) ----
@@ -558,84 +610,80 @@ function displayResults(categorized) {
       if (!ok) return;
     }
 
-    // Save the single rule keyword -> category
-    const custom = getCustomCategories();
-    custom[keywordForRule] = chosenCategory;
-    saveCustomCategories(custom);
-    populateDropdown();
-
-    // Apply category to ALL matching transactions in this file:
-    // We'll rebuild categorization from CURRENT_ROWS so everything is consistent.
-    // (This prevents partial/inconsistent "moving" between buckets.)
-    const rebuilt = categorizeTransactions(CURRENT_ROWS || []);
-
-// Always create the category so it displays even if it ends up empty
-if (!rebuilt[chosenCategory]) rebuilt[chosenCategory] = [];
-
-// Force-match: anything that matches the keyword gets placed in chosenCategory
-const rx = buildMatchRegex(keywordForRule);
-if (rx) {
-  // Pull matching txns from all categories and push into chosenCategory
-  for (const cat of Object.keys(rebuilt)) {
-    if (cat === chosenCategory) continue;
-    const keep = [];
-    for (const txn of rebuilt[cat]) {
-      if (rx.test(String(txn.Description || '').toUpperCase())) {
-        rebuilt[chosenCategory].push(txn);
-      } else {
-        keep.push(txn);
-      }
-    }
-    rebuilt[cat] = keep;
-  }
-}
-
+    // Save the single rule keyword -> category, ranked high enough that it
+    // wins every matching transaction (including ones a longer keyword took)
+    const candidate = makeRule({ pattern: keywordForRule, category: chosenCategory });
+    recordAction(`Rule "${keywordForRule}" → ${chosenCategory}`, () => {
+      addKeywordRule(keywordForRule, chosenCategory, priorityToWin(CURRENT_ROWS || [], candidate));
+      pinUnmatched(selectedIds, chosenCategory);
+    });
+    renderRulesPanel();
+    refreshResults();
+  };
 
-    displayResults(rebuilt);
+  const clearBtn = document.createElement('button');
+  clearBtn.textContent = 'Clear Manual Category';
+  clearBtn.style.marginLeft = '0.5rem';
+  clearBtn.title = 'Let the rules categorize the selected transactions again';
+  clearBtn.onclick = () => {
+    const ids = Array.from(document.querySelectorAll('input.txn-select:checked')).map(x => x.dataset.id);
+    if (!ids.length) return alert("Please select at least one transaction.");
+    recordAction(`Clear manual category on ${ids.length}`, () => clearOverrides(ids));
+    refreshResults();
   };
 
 
 
 
+
+  const splitBtn = document.createElement('button');
+  splitBtn.textContent = 'Split Selected';
+  splitBtn.style.marginLeft = '0.5rem';
+  splitBtn.title = 'Divide one transaction across several categories';
+  splitBtn.onclick = () => {
+    const ids = [...new Set(Array.from(document.querySelectorAll('input.txn-select:checked')).map(x => x.dataset.id))];
+    if (ids.length !== 1) return alert("Please select exactly one transaction to split.");
+    editSplit(ids[0]);
+  };
+
+  const tagBtn = document.createElement('button');
+  tagBtn.textContent = 'Tag Selected';
+  tagBtn.style.marginLeft = '0.5rem';
+  tagBtn.title = 'Add or remove tags on the selected transactions';
+  tagBtn.onclick = () => {
+    const ids = [...new Set(Array.from(document.querySelectorAll('input.txn-select:checked')).map(x => x.dataset.id))];
+    if (!ids.length) return alert("Please select at least one transaction.");
+    const inUse = allTags();
+    const raw = prompt(
+      `Tags to add to ${ids.length} transaction(s), comma separated. Put - in front of a tag to remove it.` +
+      (inUse.length ? `\nTags in use: ${inUse.join(', ')}` : ''),
+      ''
+    );
+    if (raw === null) return;
+    const tags = parseTags(raw);
+    const add = tags.filter(t => !t.startsWith('-'));
+    const remove = tags.filter(t => t.startsWith('-')).map(t => t.slice(1).trim());
+    if (!add.length && !remove.length) return;
+    recordAction(`Tag ${ids.length} transaction(s)`, () => changeTags(ids, add, remove));
+    refreshResults();
+  };
+
   reassignDiv.appendChild(assignBtn);
+  reassignDiv.appendChild(clearBtn);
+  reassignDiv.appendChild(splitBtn);
+  reassignDiv.appendChild(tagBtn);
+  reassignDiv.appendChild(buildHistoryBar());
   container.appendChild(reassignDiv);
 
-  for (const category of categories) {
-    const title = document.createElement('div');
-    title.className = 'category-title';
-    title.textContent = category;
-    container.appendChild(title);
-
-    const table = document.createElement('table');
-    const thead = table.insertRow();
-    ['Date', 'Amount', 'Description', 'Select'].forEach(h => {
-      const th = document.createElement('th');
-      th.textContent = h;
-      thead.appendChild(th);
-    });
+  // Learned category suggestions for Uncategorized rows
+  const suggestions = suggestCategories(categorized);
 
-    let total = 0;
-    categorized[category].forEach(txn => {
-      const row = table.insertRow();
-      row.insertCell().textContent = txn.Date;
-      row.insertCell().textContent = txn.Amount.toFixed(2);
-      row.insertCell().textContent = txn.Description;
-
-      const cell = row.insertCell();
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.className = 'txn-select';
-      checkbox.dataset.desc = txn.Description;
-      checkbox.dataset.date = txn.Date;
-      checkbox.dataset.amt = txn.Amount;
-      cell.appendChild(checkbox);
-
-      checkbox.addEventListener('change', () => {
-  if (applyAllCheckbox.checked) {
-    // re-run the same suggestion population logic you used in applyAllCheckbox change handler
+  // Refills the assign controls' keyword suggestions from the checked rows
+  const onSelectionChange = () => {
+    if (!applyAllCheckbox.checked) return;
     const selected = Array.from(document.querySelectorAll('input.txn-select:checked'));
     const selectedDescs = selected.map(x => x.dataset.desc || '').filter(Boolean);
-    const suggestions = getTopKeywordSuggestions(selectedDescs, 10);
+    const keywordSuggestions = getTopKeywordSuggestions(selectedDescs, 10);
 
     matchSelect.innerHTML = '';
     const placeholder = document.createElement('option');
@@ -643,7 +691,7 @@ if (rx) {
     placeholder.textContent = 'Pick a suggested keyword...';
     matchSelect.appendChild(placeholder);
 
-    suggestions.forEach(s => {
+    keywordSuggestions.forEach(s => {
       const opt = document.createElement('option');
       opt.value = s;
       opt.textContent = s;
@@ -651,27 +699,247 @@ if (rx) {
     });
 
     updateMatchPreview();
-  }
-});
+  };
 
-      total += txn.Amount;
-      if (txn.Amount > 0) summary.income += txn.Amount;
-      if (txn.Amount < 0) summary.expenses += txn.Amount;
+  // Checkbox selection: shift-click selects a range, header boxes a whole
+  // table, and the selection bar everything the filters let through
+  let lastChecked = null;
+  let keepSelected = new Set(selected);
+  const selectionCount = document.createElement('span');
+  selectionCount.style.marginLeft = '0.5rem';
+  const updateSelection = () => {
+    const ids = Array.from(body.querySelectorAll('input.txn-select:checked')).map(b => b.dataset.id);
+    selectionCount.textContent = ids.length ? `${ids.length} selected` : '';
+    saveSessionView(ids);
+    onSelectionChange();
+  };
+  const setChecked = (boxes, checked) => {
+    boxes.forEach(b => { b.checked = checked; });
+    updateSelection();
+  };
+  const addSelectAll = (table, headers) => {
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.title = 'Select every transaction in this table';
+    box.style.marginLeft = '0.25rem';
+    box.addEventListener('change', () => setChecked(Array.from(table.querySelectorAll('input.txn-select')), box.checked));
+    headers[headers.length - 1].appendChild(box);
+  };
+
+  // One transaction (or split line) as a table row
+  const addTxnRow = (table, txn, { category, showSuggestions }) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = txn.Date;
+    row.insertCell().textContent = txn.Amount.toFixed(2);
+    const descCell = row.insertCell();
+    descCell.textContent = txn.Description;
+    if (txn.Manual) {
+      const tag = document.createElement('span');
+      tag.textContent = ' (manual)';
+      tag.style.color = '#888';
+      tag.title = 'Category set by hand for this transaction';
+      descCell.appendChild(tag);
+    }
+    const notesCell = row.insertCell();
+    notesCell.textContent = annotationSummary(txn) + ' ';
+    const notesBtn = document.createElement('button');
+    notesBtn.textContent = '✎';
+    notesBtn.title = 'Edit notes, tags and flags';
+    notesBtn.onclick = () => editNotes(txn.Id);
+    notesCell.appendChild(notesBtn);
+    if (txn.Transfer) {
+      const tag = document.createElement('span');
+      tag.textContent = ` (transfer ${txn.Amount < 0 ? 'to' : 'from'} ${txn.Transfer.account}, ${txn.Transfer.date}) `;
+      tag.style.color = '#888';
+      tag.title = 'Matched with the opposite amount in another account; not counted as income or expense';
+      descCell.appendChild(tag);
+      const notTransferBtn = document.createElement('button');
+      notTransferBtn.textContent = 'Not a Transfer';
+      notTransferBtn.onclick = () => {
+        recordAction(`Unmatch transfer ${txn.Description}`, () => rejectTransfer(txn.Id, txn.Transfer.id));
+        refreshResults();
+      };
+      descCell.appendChild(notTransferBtn);
+    }
+    if (category) row.insertCell().textContent = category;
+
+    if (showSuggestions) {
+      const suggestCell = row.insertCell();
+      const s = suggestions[txn.Id];
+      if (s) {
+        suggestCell.textContent = suggestionLabel(s) + ' ';
+        const acceptBtn = document.createElement('button');
+        acceptBtn.textContent = 'Accept';
+        acceptBtn.onclick = () => {
+          recordAction(`Accept ${suggestions[txn.Id].category} for ${txn.Description}`,
+            () => acceptSuggestions([txn.Id], suggestions));
+          refreshResults();
+        };
+        suggestCell.appendChild(acceptBtn);
+      }
+    }
+
+    const cell = row.insertCell();
+    if (txn.Split) {
+      // Split lines are edited as a whole rather than assigned one by one
+      const tag = document.createElement('span');
+      tag.textContent = ` (split ${txn.Split.index}/${txn.Split.of} of ${txn.Split.total.toFixed(2)})` +
+        (txn.Split.note ? ` — ${txn.Split.note}` : '');
+      tag.style.color = '#888';
+      descCell.appendChild(tag);
+
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit Split';
+      editBtn.onclick = () => editSplit(txn.Id);
+      cell.appendChild(editBtn);
+      return;
+    }
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'txn-select';
+    checkbox.dataset.id = txn.Id;
+    checkbox.dataset.desc = txn.Description;
+    checkbox.checked = keepSelected.has(txn.Id);
+    cell.appendChild(checkbox);
+    checkbox.addEventListener('click', e => {
+      const boxes = Array.from(body.querySelectorAll('input.txn-select'));
+      if (e.shiftKey && boxes.includes(lastChecked)) {
+        const [from, to] = [boxes.indexOf(lastChecked), boxes.indexOf(checkbox)].sort((a, b) => a - b);
+        boxes.slice(from, to + 1).forEach(b => { b.checked = checkbox.checked; });
+      }
+      lastChecked = checkbox;
+      updateSelection();
     });
+  };
 
+  const subtotal = (parent, table, txns) => {
+    const total = txns.reduce((sum, t) => sum + t.Amount, 0);
     const footer = document.createElement('div');
     footer.textContent = `Subtotal: ${total.toFixed(2)}`;
     footer.style.marginBottom = '1rem';
-    container.appendChild(table);
-    container.appendChild(footer);
-  }
+    parent.appendChild(table);
+    parent.appendChild(footer);
+  };
+
+  // Tables, subtotals, summary and export for the rows the toolbar lets through
+  const body = document.createElement('div');
+  const renderBody = () => {
+    // Rows stay selected through sorting and filtering while they are shown
+    if (body.children.length) {
+      keepSelected = new Set(Array.from(body.querySelectorAll('input.txn-select:checked')).map(b => b.dataset.id));
+    }
+    lastChecked = null;
+    body.innerHTML = '';
+    const shown = filterCategorized(categorized, RESULTS_FILTER);
+    const shownRows = Object.values(shown).flat();
+
+    const selectionBar = document.createElement('div');
+    selectionBar.style.margin = '0.5rem 0';
+    // Rows in collapsed categories are left out, like rows the filters hide
+    const selectable = () => Array.from(body.querySelectorAll('input.txn-select'))
+      .filter(b => !b.closest('details:not([open])'));
+    selectionBar.appendChild(ruleButton(
+      isFilterActive(RESULTS_FILTER) ? 'Select All Matching' : 'Select All',
+      () => setChecked(selectable(), true)
+    ));
+    selectionBar.appendChild(ruleButton('Select None', () => setChecked(selectable(), false)));
+    selectionBar.appendChild(selectionCount);
+    body.appendChild(selectionBar);
+
+    if (isFilterActive(RESULTS_FILTER)) {
+      const count = document.createElement('p');
+      const all = Object.values(categorized).reduce((n, rows) => n + rows.length, 0);
+      count.textContent = `Showing ${shownRows.length} of ${all} transactions.`;
+      body.appendChild(count);
+    }
+    if (!shownRows.length) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No transactions match the current filters.';
+      body.appendChild(empty);
+    }
+
+    if (RESULTS_FILTER.flat && shownRows.length) {
+      const table = document.createElement('table');
+      addSelectAll(table, buildSortHeader(table, ['Date', 'Amount', 'Description', 'Notes', 'Category', 'Select'], renderBody));
+      const rows = flattenCategorized(shown, RESULTS_FILTER);
+      rows.forEach(txn => addTxnRow(table, txn, { category: categoryLabel(txn.Category) }));
+      subtotal(body, table, rows);
+    }
+
+    // Each category is a collapsible section inside its group's section; a
+    // group's heading shows the total of everything inside it
+    const sections = {};
+    for (const node of RESULTS_FILTER.flat ? [] : categoryTree(categories.filter(c => shown[c]))) {
+      const { category } = node;
+      const section = document.createElement('details');
+      section.open = !RESULTS_FILTER.collapsed.includes(category);
+      if (node.depth) section.style.marginLeft = '1.5rem';
+      section.addEventListener('toggle', () => {
+        // Also fired for the initial state; only act on a change
+        if (section.open !== RESULTS_FILTER.collapsed.includes(category)) return;
+        RESULTS_FILTER.collapsed = RESULTS_FILTER.collapsed.filter(c => c !== category);
+        if (!section.open) RESULTS_FILTER.collapsed.push(category);
+        updateSelection();
+      });
+      const title = document.createElement('summary');
+      title.className = 'category-title';
+      title.style.cursor = 'pointer';
+      title.textContent = category;
+      if (node.children.length) {
+        const rolled = categoryRollup(shown, category);
+        const total = rolled.reduce((sum, t) => sum + t.Amount, 0);
+        title.textContent += ` (${rolled.length} transactions, total ${total.toFixed(2)})`;
+      }
+      if (budgetStatus[category]) title.appendChild(renderBudgetBar(budgetStatus[category]));
+      section.appendChild(title);
+      (node.parent ? sections[node.parent] : body).appendChild(section);
+      sections[category] = section;
+      if (!shown[category]) continue;
+
+      const showSuggestions = category === 'Uncategorized';
+      if (showSuggestions) section.appendChild(buildSuggestionBar(suggestions));
+
+      const table = document.createElement('table');
+      addSelectAll(table, buildSortHeader(table, showSuggestions
+        ? ['Date', 'Amount', 'Description', 'Notes', 'Suggested', 'Select']
+        : ['Date', 'Amount', 'Description', 'Notes', 'Select'], renderBody));
+      shown[category].forEach(txn => addTxnRow(table, txn, { showSuggestions }));
+      subtotal(section, table, shown[category]);
+    }
+
+    // Transfers between loaded accounts are neither income nor expense
+    const counted = shownRows.filter(t => !t.Transfer);
+    const moved = shownRows.filter(t => t.Transfer && t.Amount > 0);
+    const summary = {
+      income: counted.filter(t => t.Amount > 0).reduce((sum, t) => sum + t.Amount, 0),
+      expenses: counted.filter(t => t.Amount < 0).reduce((sum, t) => sum + t.Amount, 0),
+      transfers: moved.reduce((sum, t) => sum + t.Amount, 0)
+    };
+    const summaryDiv = document.createElement('div');
+    summaryDiv.innerHTML = `
+      <h2>💰 Summary${isFilterActive(RESULTS_FILTER) ? ' (filtered)' : ''}</h2>
+      <p>Total Income: $${summary.income.toFixed(2)}</p>
+      <p>Total Expenses: $${summary.expenses.toFixed(2)}</p>
+      <p><strong>Net: $${(summary.income + summary.expenses).toFixed(2)}</strong></p>
+      ${moved.length ? `<p>Moved between accounts (not counted): $${summary.transfers.toFixed(2)} in ${moved.length} transfer(s)</p>` : ''}
+    `;
+    body.appendChild(summaryDiv);
+    const tagTotalsDiv = renderTagTotals(shownRows);
+    if (tagTotalsDiv) body.appendChild(tagTotalsDiv);
+    body.appendChild(buildExportBar(shown));
+    updateSelection();
+  };
 
-  const summaryDiv = document.createElement('div');
-  summaryDiv.innerHTML = `
-    <h2>💰 Summary</h2>
-    <p>Total Income: $${summary.income.toFixed(2)}</p>
-    <p>Total Expenses: $${summary.expenses.toFixed(2)}</p>
-    <p><strong>Net: $${(summary.income + summary.expenses).toFixed(2)}</strong></p>
-  `;
-  container.appendChild(summaryDiv);
+  container.appendChild(buildResultsToolbar(categoryTree(categories).map(n => n.category), renderBody));
+  container.appendChild(body);
+  renderBody();
+
+  renderAccounts(CURRENT_ROWS, categorized);
+  renderReports(categorized);
+  renderRecurring(CURRENT_ROWS, categorized);
+  renderForecast(CURRENT_ROWS, categorized);
+  renderTaxReport(categorized);
+  // Rules and assignments may have added categories
+  renderCategoriesPanel();
 } 
@@ -0,0 +1,104 @@
+// ==== SESSION ====
+// The ledger, rules and manual categories are stored already; this keeps the
+// rest of what was on screen (toolbar filters and checked rows) so a reload
+// picks up where the last visit stopped. On load the saved ledger is shown
+// again with a banner naming its files and dates, and Start Fresh clears it.
+//
+// Stored shape: { filter: RESULTS_FILTER, selected: [Id, ...], savedAt: ISO time }
+
+const SESSION_KEY = 'session';
+// Typing in the search box re-renders the results on every key, so saves
+// wait for a pause
+const SESSION_SAVE_DELAY = 500;
+
+let sessionSaveTimer = null;
+// JSON of the filter and selection last written
+let savedSessionView = null;
+
+function getSession() {
+  return readStored(SESSION_KEY, {});
+}
+
+// Called whenever the results view is drawn; writes only when the filter or
+// selection changed
+function saveSessionView(selected) {
+  const view = JSON.stringify({ filter: RESULTS_FILTER, selected });
+  clearTimeout(sessionSaveTimer);
+  if (view === savedSessionView) return;
+  sessionSaveTimer = setTimeout(() => {
+    savedSessionView = view;
+    writeStored(SESSION_KEY, { ...JSON.parse(view), savedAt: new Date().toISOString() });
+  }, SESSION_SAVE_DELAY);
+}
+
+function clearSession() {
+  clearTimeout(sessionSaveTimer);
+  savedSessionView = null;
+  removeStored(SESSION_KEY);
+}
+
+// Empties every section that shows loaded transactions
+function clearWorkspace() {
+  CURRENT_ROWS = [];
+  RESULTS_FILTER = defaultResultsFilter();
+  ['session-banner', 'ledger-summary', 'results', 'accounts', 'reports', 'recurring', 'forecast', 'tax-report'].forEach(id => {
+    document.getElementById(id).innerHTML = '';
+  });
+  document.getElementById('instructions').style.display = '';
+}
+
+/**
+ * Shows the stored ledger again with the filters and selection saved last
+ * time. Returns false when there is nothing to restore.
+ */
+function restoreSession() {
+  const ledger = getLedger();
+  if (!ledger.transactions.length) return false;
+
+  const session = getSession();
+  if (session.filter) RESULTS_FILTER = { ...defaultResultsFilter(), ...session.filter };
+  CURRENT_ROWS = ledger.transactions;
+  document.getElementById('instructions').style.display = 'none';
+  renderLedgerSummary(ledger);
+  displayResults(categorizeTransactions(CURRENT_ROWS), session.selected || []);
+  renderSessionBanner(ledger, session);
+  return true;
+}
+
+function renderSessionBanner(ledger, session) {
+  const container = document.getElementById('session-banner');
+  container.innerHTML = '';
+
+  const banner = document.createElement('div');
+  Object.assign(banner.style, { margin: '1rem 0', padding: '0.75rem', border: '1px solid #90caf9', background: '#e3f2fd' });
+
+  const { from, to } = getDateRange(ledger.transactions);
+  const files = [...new Set(ledger.statements.map(s => s.fileName))];
+  const heading = document.createElement('strong');
+  heading.textContent = 'Welcome back. ';
+  banner.appendChild(heading);
+  banner.appendChild(document.createTextNode(
+    `Showing ${ledger.transactions.length} saved transactions from ${from} to ${to}` +
+    (session.savedAt ? `, as you left them on ${session.savedAt.slice(0, 16).replace('T', ' ')}` : '') + '. '
+  ));
+
+  const fileList = document.createElement('div');
+  fileList.style.fontSize = '0.9rem';
+  fileList.style.color = '#444';
+  fileList.textContent = `Files: ${files.join(', ') || 'none recorded'}`;
+  banner.appendChild(fileList);
+
+  const actions = document.createElement('div');
+  actions.style.marginTop = '0.5rem';
+  actions.appendChild(ruleButton('Keep Working', () => { container.innerHTML = ''; }));
+  actions.appendChild(ruleButton('Start Fresh', () => {
+    if (!confirm('Remove the saved transactions and start over? Rules, budgets, notes and manual categories ' +
+      'are kept. Download a backup first if you may want them back.')) return;
+    clearLedger();
+    clearSession();
+    clearWorkspace();
+  }));
+  banner.appendChild(actions);
+
+  container.appendChild(banner);
+}
@@ -0,0 +1,195 @@
+// ==== SPLIT TRANSACTIONS ====
+// One bank row can be divided into several lines with their own category and
+// note (a Costco run that is part Groceries, part Household). Splits are
+// keyed by the ledger fingerprint (Id) and replace the row when categorizing.
+//
+// Stored shape: { [Id]: [{ amount: -52.10, category: 'Groceries', note: '' }, ...] }
+
+const SPLITS_KEY = 'transactionSplits';
+
+function getSplits() {
+  return readStored(SPLITS_KEY, {});
+}
+
+function saveSplits(splits) {
+  writeStored(SPLITS_KEY, splits);
+}
+
+// Saves the lines for one transaction; an empty list removes the split
+function setSplit(id, lines) {
+  const splits = getSplits();
+  if (lines.length) splits[id] = lines;
+  else delete splits[id];
+  saveSplits(splits);
+}
+
+function splitCategories() {
+  return [].concat(...Object.values(getSplits())).map(l => l.category);
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Checks split lines against the original amount. Returns an error message,
+ * or '' when the lines are valid. Amounts are compared in cents so 0.1 + 0.2
+ * style rounding never blocks a save.
+ */
+function validateSplit(amount, lines) {
+  if (lines.length < 2) return 'A split needs at least two lines.';
+  if (lines.some(l => !l.category)) return 'Every line needs a category.';
+  if (lines.some(l => !isFinite(l.amount) || toCents(l.amount) === 0)) return 'Every line needs a non-zero amount.';
+  const diff = toCents(amount) - lines.reduce((sum, l) => sum + toCents(l.amount), 0);
+  if (diff !== 0) {
+    const entered = ((toCents(amount) - diff) / 100).toFixed(2);
+    return `Lines add up to ${entered} but the transaction is ${Number(amount).toFixed(2)} ` +
+      `(${(diff / 100).toFixed(2)} left to assign).`;
+  }
+  return '';
+}
+
+/**
+ * Opens the split editor for one transaction. Resolves to the new lines,
+ * [] when the user removes an existing split, or null if cancelled.
+ */
+function openSplitEditor(txn, category) {
+  const container = document.getElementById('split-editor');
+  container.innerHTML = '';
+
+  return new Promise(resolve => {
+    const amount = Number(txn.Amount);
+    const existing = getSplits()[txn.Id];
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Split Transaction';
+    container.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.textContent = `${txn.Date}  ${amount.toFixed(2)}  ${txn.Description}. ` +
+      'Divide the amount into lines with their own category. Lines must add up to the original amount.';
+    container.appendChild(intro);
+
+    const listId = 'split-categories';
+    const datalist = document.createElement('datalist');
+    datalist.id = listId;
+    getRuleCategories().forEach(c => {
+      const opt = document.createElement('option');
+      opt.value = c;
+      datalist.appendChild(opt);
+    });
+    container.appendChild(datalist);
+
+    const table = document.createElement('table');
+    const thead = table.insertRow();
+    ['Amount', 'Category', 'Note', ''].forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      thead.appendChild(th);
+    });
+    container.appendChild(table);
+
+    const remaining = document.createElement('p');
+    container.appendChild(remaining);
+
+    const inputs = [];
+
+    const readLines = () => inputs.map(i => ({
+      amount: normalizeAmount(i.amount.value),
+      category: i.category.value.trim(),
+      note: i.note.value.trim()
+    }));
+
+    const updateRemaining = () => {
+      const left = toCents(amount) - readLines().reduce((sum, l) => sum + toCents(l.amount || 0), 0);
+      remaining.textContent = `Left to assign: ${(left / 100).toFixed(2)}`;
+      remaining.style.color = left === 0 ? '#2e7d32' : '#c62828';
+    };
+
+    const addLine = line => {
+      const row = table.insertRow();
+      const field = (value, placeholder) => {
+        const el = document.createElement('input');
+        el.value = value == null ? '' : value;
+        el.placeholder = placeholder;
+        el.addEventListener('input', updateRemaining);
+        row.insertCell().appendChild(el);
+        return el;
+      };
+      const entry = {
+        amount: field(line.amount == null ? '' : Number(line.amount).toFixed(2), '0.00'),
+        category: field(line.category, 'Category'),
+        note: field(line.note, 'Optional note')
+      };
+      entry.category.setAttribute('list', listId);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.onclick = () => {
+        inputs.splice(inputs.indexOf(entry), 1);
+        table.deleteRow(row.rowIndex);
+        updateRemaining();
+      };
+      row.insertCell().appendChild(removeBtn);
+
+      inputs.push(entry);
+      updateRemaining();
+    };
+
+    if (existing) {
+      existing.forEach(addLine);
+    } else {
+      addLine({ amount, category: category || '' });
+      addLine({ amount: null, category: '' });
+    }
+
+    const finish = result => {
+      container.innerHTML = '';
+      resolve(result);
+    };
+
+    const addBtn = document.createElement('button');
+    addBtn.textContent = 'Add Line';
+    addBtn.onclick = () => {
+      const left = toCents(amount) - readLines().reduce((sum, l) => sum + toCents(l.amount || 0), 0);
+      addLine({ amount: left ? left / 100 : null, category: '' });
+    };
+    container.appendChild(addBtn);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save Split';
+    saveBtn.style.marginLeft = '0.5rem';
+    saveBtn.onclick = () => {
+      const lines = readLines();
+      const error = validateSplit(amount, lines);
+      if (error) return alert(error);
+      finish(lines);
+    };
+    container.appendChild(saveBtn);
+
+    if (existing) {
+      const unsplitBtn = document.createElement('button');
+      unsplitBtn.textContent = 'Remove Split';
+      unsplitBtn.style.marginLeft = '0.5rem';
+      unsplitBtn.onclick = () => finish([]);
+      container.appendChild(unsplitBtn);
+    }
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.style.marginLeft = '0.5rem';
+    cancelBtn.onclick = () => finish(null);
+    container.appendChild(cancelBtn);
+  });
+}
+
+// Opens the editor for a ledger row and re-renders once the split is saved
+async function editSplit(id) {
+  const txn = (CURRENT_ROWS || []).find(r => r.Id === id);
+  if (!txn) return;
+  const current = Object.entries(categorizeTransactions([txn]))[0];
+  const lines = await openSplitEditor({ ...txn, Description: categoryDesc(txn.Description) }, current && current[0]);
+  if (lines === null) return;
+  recordAction(`Split ${categoryDesc(txn.Description)}`, () => setSplit(id, lines));
+  refreshResults();
+}
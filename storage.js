@@ -0,0 +1,351 @@
+// ==== STORAGE ====
+// Everything the app saves goes through readStored / writeStored /
+// removeStored. Data lives in IndexedDB and is loaded into memory once by
+// initStorage(), so reads stay synchronous and writes happen in the
+// background without blocking the page. If IndexedDB is unavailable the same
+// API falls back to localStorage.
+//
+// IndexedDB layout (database 'finance-sorter'):
+// - 'settings': { key, value } for rules, profiles, budgets, overrides,
+//   splits, and the ledger's statement list
+// - 'transactions': ledger rows keyed by Id, with indexes on date, account
+//   and category (the category last shown for the row)
+//
+// With passphrase encryption on (encryption.js), the 'encryption' record holds
+// the salt and a check value in plain text and every other record is an
+// AES-GCM { iv, data } box. The whole ledger is then one encrypted 'ledger'
+// record and the transactions store stays empty, so the indexes go unused.
+
+const DB_NAME = 'finance-sorter';
+const DB_VERSION = 1;
+const SETTINGS_STORE = 'settings';
+const TRANSACTIONS_STORE = 'transactions';
+const ENCRYPTION_KEY = 'encryption';
+
+// Keys older versions kept in localStorage, moved into IndexedDB on first load.
+// 'customCategories' and 'last-transactions' are migrated further by
+// getRules and getLedger.
+const LOCAL_STORAGE_KEYS = [
+  'categoryRules', 'ruleSettings', 'builtInRuleOverrides', 'categoryOverrides', 'transactionSplits',
+  'customProfiles', 'categoryBudgets', 'ledger', 'customCategories', 'last-transactions'
+];
+
+// Every key the app stores. The localStorage fallback loads only these: the
+// page's origin may hold other scripts' keys, and with encryption on those
+// would fail to decrypt. Add new keys here.
+const STORED_KEYS = [
+  ...LOCAL_STORAGE_KEYS, 'transactionNotes', 'accounts', 'session', 'taxBuckets', 'categoryParents', 'forecast'
+];
+
+// Schema changes by database version. Each step runs once, in order, when an
+// older (or new) database is opened.
+const STORAGE_MIGRATIONS = {
+  1: db => {
+    db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+    const transactions = db.createObjectStore(TRANSACTIONS_STORE, { keyPath: 'Id' });
+    transactions.createIndex('date', 'Date');
+    transactions.createIndex('account', 'Account');
+    transactions.createIndex('category', 'Category');
+  }
+};
+
+let storageDb = null; // stays null when using the localStorage fallback
+const storageCache = {};
+// Id -> category last written to the transactions store
+let storedCategories = {};
+// Id -> JSON of each row in the transactions store, so a save only writes the
+// rows that changed
+let storedRows = {};
+// Writes run one at a time, in order, after any encryption
+let storageQueue = Promise.resolve();
+
+// Encryption state: meta is { salt, iterations, check, autoLockMinutes } when
+// turned on; key is the AES key once unlocked. Locked records wait in
+// lockedRecords until unlockStorage decrypts them.
+let encryptionMeta = null;
+let storageKey = null;
+let lockedRecords = null;
+
+function cloneStored(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = event => {
+      for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) STORAGE_MIGRATIONS[v](request.result, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Close other Finance Sorter tabs to finish updating storage.'));
+  });
+}
+
+// Saves the ledger as its statement list plus one record per transaction
+function putLedger(tx, ledger) {
+  tx.objectStore(SETTINGS_STORE).put({ key: 'ledger', value: { statements: ledger.statements } });
+  const store = tx.objectStore(TRANSACTIONS_STORE);
+  const rows = {};
+  ledger.transactions.forEach(t => {
+    rows[t.Id] = JSON.stringify(t);
+    if (storedRows[t.Id] === rows[t.Id]) return;
+    store.put(storedCategories[t.Id] ? { ...t, Category: storedCategories[t.Id] } : t);
+  });
+  Object.keys(storedRows).filter(id => !(id in rows)).forEach(id => store.delete(id));
+  tx.addEventListener('complete', () => { storedRows = rows; });
+}
+
+function clearTransactions(tx) {
+  tx.objectStore(TRANSACTIONS_STORE).clear();
+  tx.addEventListener('complete', () => { storedRows = {}; });
+}
+
+// Copies keys left in localStorage by older versions, then removes them
+async function migrateLocalStorage() {
+  const keys = LOCAL_STORAGE_KEYS.filter(k => localStorage.getItem(k) !== null);
+  if (!keys.length) return;
+
+  const existing = new Set(await requestResult(
+    storageDb.transaction(SETTINGS_STORE).objectStore(SETTINGS_STORE).getAllKeys()
+  ));
+  // Never write plain data next to encrypted records
+  if (existing.has(ENCRYPTION_KEY)) return;
+  const tx = storageDb.transaction([SETTINGS_STORE, TRANSACTIONS_STORE], 'readwrite');
+  keys.filter(k => !existing.has(k)).forEach(key => {
+    const value = JSON.parse(localStorage.getItem(key));
+    if (key === 'ledger') putLedger(tx, ensureFingerprints(value));
+    else tx.objectStore(SETTINGS_STORE).put({ key, value });
+  });
+  await transactionDone(tx);
+  keys.forEach(k => localStorage.removeItem(k));
+}
+
+async function loadDatabase() {
+  const tx = storageDb.transaction([SETTINGS_STORE, TRANSACTIONS_STORE]);
+  const [settings, transactions] = await Promise.all([
+    requestResult(tx.objectStore(SETTINGS_STORE).getAll()),
+    requestResult(tx.objectStore(TRANSACTIONS_STORE).getAll())
+  ]);
+  const meta = settings.find(s => s.key === ENCRYPTION_KEY);
+  if (meta) {
+    encryptionMeta = meta.value;
+    lockedRecords = settings.filter(s => s !== meta);
+    return;
+  }
+  settings.forEach(({ key, value }) => { storageCache[key] = value; });
+
+  storedCategories = {};
+  storedRows = {};
+  transactions.forEach(t => {
+    if (t.Category) storedCategories[t.Id] = t.Category;
+    delete t.Category;
+    storedRows[t.Id] = JSON.stringify(t);
+  });
+  if (storageCache.ledger || transactions.length) {
+    storageCache.ledger = { statements: (storageCache.ledger || {}).statements || [], transactions };
+  }
+}
+
+function loadLocalStorage() {
+  const meta = localStorage.getItem(ENCRYPTION_KEY);
+  if (meta) encryptionMeta = JSON.parse(meta);
+  const records = STORED_KEYS
+    .filter(key => localStorage.getItem(key) !== null)
+    .map(key => ({ key, value: JSON.parse(localStorage.getItem(key)) }));
+  if (encryptionMeta) lockedRecords = records;
+  else records.forEach(({ key, value }) => { storageCache[key] = value; });
+}
+
+/**
+ * Opens the database, runs schema and localStorage migrations, and loads
+ * everything into memory. Call once before anything reads stored data.
+ */
+async function initStorage() {
+  if (typeof indexedDB === 'undefined') return loadLocalStorage();
+  try {
+    storageDb = await openDatabase();
+    await migrateLocalStorage();
+    await loadDatabase();
+  } catch (err) {
+    console.error('IndexedDB unavailable, using localStorage instead', err);
+    storageDb = null;
+    loadLocalStorage();
+  }
+}
+
+function storageFailed(err) {
+  console.error(err);
+  alert(`Could not save to browser storage: ${err && err.message ? err.message : err}`);
+}
+
+// Returns a copy of the stored value, or fallback when nothing is stored
+function readStored(key, fallback) {
+  return key in storageCache ? cloneStored(storageCache[key]) : fallback;
+}
+
+// Runs a storage task after the ones already queued; failures are reported
+// but do not stop later writes
+function queueStorage(task) {
+  const run = storageQueue.then(task);
+  storageQueue = run.catch(storageFailed);
+  return run;
+}
+
+// Resolves once every queued write has finished
+function storageIdle() {
+  return storageQueue;
+}
+
+// Saves the current in-memory value of one key (or deletes it)
+async function persistKey(key) {
+  const value = storageCache[key];
+  const stored = value !== undefined && encryptionMeta ? await encryptJSON(storageKey, value) : value;
+
+  if (!storageDb) {
+    if (stored === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(stored));
+    return;
+  }
+  const tx = storageDb.transaction([SETTINGS_STORE, TRANSACTIONS_STORE], 'readwrite');
+  if (stored === undefined) {
+    tx.objectStore(SETTINGS_STORE).delete(key);
+    if (key === 'ledger') clearTransactions(tx);
+  } else if (key === 'ledger' && !encryptionMeta) {
+    putLedger(tx, value);
+  } else {
+    tx.objectStore(SETTINGS_STORE).put({ key, value: stored });
+  }
+  await transactionDone(tx);
+}
+
+function writeStored(key, value) {
+  storageCache[key] = cloneStored(value);
+  queueStorage(() => persistKey(key));
+}
+
+function removeStored(key) {
+  delete storageCache[key];
+  if (key === 'ledger') storedCategories = {};
+  queueStorage(() => persistKey(key));
+}
+
+// ==== ENCRYPTED STORAGE ====
+
+function isStorageEncrypted() {
+  return !!encryptionMeta;
+}
+
+function isStorageLocked() {
+  return !!lockedRecords;
+}
+
+function getEncryptionMeta() {
+  return cloneStored(encryptionMeta);
+}
+
+/**
+ * Decrypts the stored records with a passphrase. Resolves to false when the
+ * passphrase is wrong; nothing is loaded in that case.
+ */
+async function unlockStorage(passphrase) {
+  const key = await deriveStorageKey(passphrase, encryptionMeta.salt, encryptionMeta.iterations);
+  try {
+    await decryptJSON(key, encryptionMeta.check);
+  } catch (err) {
+    return false;
+  }
+  const records = await Promise.all(lockedRecords.map(async r => [r.key, await decryptJSON(key, r.value)]));
+  records.forEach(([k, v]) => { storageCache[k] = v; });
+  storageKey = key;
+  lockedRecords = null;
+  return true;
+}
+
+/**
+ * Rewrites every stored record under new encryption settings in one go:
+ * meta and key to encrypt (or null to store plain text). Used to turn
+ * encryption on or off and to change the passphrase.
+ */
+function rewriteStorage(meta, key) {
+  return queueStorage(async () => {
+    const entries = await Promise.all(Object.keys(storageCache).map(async k =>
+      [k, meta ? await encryptJSON(key, storageCache[k]) : storageCache[k]]
+    ));
+
+    if (!storageDb) {
+      entries.forEach(([k, v]) => localStorage.setItem(k, JSON.stringify(v)));
+      if (meta) localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(meta));
+      else localStorage.removeItem(ENCRYPTION_KEY);
+    } else {
+      const tx = storageDb.transaction([SETTINGS_STORE, TRANSACTIONS_STORE], 'readwrite');
+      const settings = tx.objectStore(SETTINGS_STORE);
+      if (meta) clearTransactions(tx);
+      entries.forEach(([k, v]) => {
+        if (k === 'ledger' && !meta) putLedger(tx, v);
+        else settings.put({ key: k, value: v });
+      });
+      if (meta) settings.put({ key: ENCRYPTION_KEY, value: meta });
+      else settings.delete(ENCRYPTION_KEY);
+      await transactionDone(tx);
+    }
+
+    encryptionMeta = meta;
+    storageKey = key;
+  });
+}
+
+// Saves non-secret encryption settings such as the auto-lock delay
+function saveEncryptionMeta(meta) {
+  encryptionMeta = meta;
+  return queueStorage(async () => {
+    if (!storageDb) {
+      localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(meta));
+      return;
+    }
+    const tx = storageDb.transaction(SETTINGS_STORE, 'readwrite');
+    tx.objectStore(SETTINGS_STORE).put({ key: ENCRYPTION_KEY, value: meta });
+    await transactionDone(tx);
+  });
+}
+
+/**
+ * Keeps the category index in step with what the results show. Only rows
+ * whose category changed are rewritten; split rows use their first line.
+ * Queued like every other write, so it runs after pending ledger saves and
+ * writes the rows as they are then.
+ */
+function recordCategories(categorized) {
+  const next = {};
+  Object.entries(categorized).forEach(([category, txns]) => {
+    txns.forEach(t => { if (!(t.Id in next)) next[t.Id] = category; });
+  });
+  const changed = new Set(Object.keys(next).filter(id => storedCategories[id] !== next[id]));
+  Object.assign(storedCategories, next);
+  if (!storageDb || !changed.size) return;
+
+  queueStorage(async () => {
+    if (encryptionMeta) return;
+    const rows = ((storageCache.ledger || {}).transactions || []).filter(t => changed.has(t.Id));
+    if (!rows.length) return;
+    const tx = storageDb.transaction(TRANSACTIONS_STORE, 'readwrite');
+    const store = tx.objectStore(TRANSACTIONS_STORE);
+    rows.forEach(t => store.put({ ...t, Category: storedCategories[t.Id] }));
+    await transactionDone(tx);
+  });
+}
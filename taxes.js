@@ -0,0 +1,373 @@
+// ==== TAX REPORT ====
+// Sums one calendar year of categorized rows into tax buckets (charitable
+// giving, student loans, business income and expenses, ...) grouped by the
+// form or schedule they belong on, lists the supporting transactions, and
+// prints or exports the result. Buckets are user-editable.
+//
+// Stored under 'taxBuckets' (absent until the defaults are first changed):
+// [{
+//   id: 'tax-1714850000000-0',
+//   name: 'Business income',
+//   schedule: 'Schedule C',
+//   kind: 'income',                 // 'income' totals deposits, 'deduction' totals spending
+//   categories: ['Income'],         // any of these categories...
+//   keywords: ['QUICKBOOKS'],       // ...and a description containing any of these...
+//   tags: []                        // ...and any of these tags; empty lists match everything
+// }]
+// A row goes to the first bucket it matches. Rows flagged tax-deductible that
+// match no bucket are listed under TAX_OTHER_DEDUCTIBLE. Transfers are left out.
+
+const TAX_BUCKETS_KEY = 'taxBuckets';
+const TAX_SCHEDULES = ['Schedule 1', 'Schedule A', 'Schedule C', 'Schedule E', 'Other'];
+const TAX_KINDS = [['deduction', 'Deduction / expense'], ['income', 'Income']];
+const TAX_OTHER_DEDUCTIBLE = 'Other tax-deductible';
+const TAX_CSV_COLUMNS = ['Schedule', 'Bucket', 'Date', 'Amount', 'Description', 'Category', 'Tags', 'Notes', 'Account'];
+
+function defaultTaxBuckets() {
+  return [
+    {
+      id: 'tax-charity', name: 'Charitable contributions', schedule: 'Schedule A', kind: 'deduction',
+      categories: ['Tithing'], keywords: [], tags: []
+    },
+    {
+      id: 'tax-student-loans', name: 'Student loan payments', schedule: 'Schedule 1', kind: 'deduction',
+      categories: ['Student Loans'], keywords: [], tags: []
+    },
+    {
+      id: 'tax-business-income', name: 'Business income', schedule: 'Schedule C', kind: 'income',
+      categories: ['Income'], keywords: ['QUICKBOOKS', 'CUSTOM MACHINING'], tags: []
+    },
+    {
+      id: 'tax-business-expenses', name: 'Business expenses', schedule: 'Schedule C', kind: 'deduction',
+      categories: [], keywords: [], tags: ['business']
+    }
+  ];
+}
+
+let taxBucketCounter = 0;
+
+function newTaxBucketId() {
+  return `tax-${Date.now()}-${taxBucketCounter++}`;
+}
+
+function getTaxBuckets() {
+  return readStored(TAX_BUCKETS_KEY, defaultTaxBuckets());
+}
+
+function saveTaxBuckets(buckets) {
+  writeStored(TAX_BUCKETS_KEY, buckets);
+}
+
+// The year shown; null until the report first renders
+let TAX_YEAR = null;
+
+// "Tithing, gifts" -> ['Tithing', 'gifts']
+function splitList(text) {
+  return String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Bucket conditions ignore case, and a bucket category includes the ones
+// inside it. A bucket with no conditions matches nothing.
+function matchesTaxBucket(txn, category, bucket) {
+  const lower = list => list.map(s => s.toLowerCase());
+  if (!bucket.categories.length && !bucket.keywords.length && !bucket.tags.length) return false;
+  const path = lower(categoryPath(category));
+  if (bucket.categories.length && !lower(bucket.categories).some(c => path.includes(c))) return false;
+  const desc = txn.Description.toLowerCase();
+  if (bucket.keywords.length && !lower(bucket.keywords).some(k => desc.includes(k))) return false;
+  const tags = lower(txn.Tags || []);
+  if (bucket.tags.length && !lower(bucket.tags).some(t => tags.includes(t))) return false;
+  return true;
+}
+
+// Calendar years with transactions, newest first
+function taxYears(categorized) {
+  const years = new Set(Object.values(categorized).flat().map(t => t.Date.slice(0, 4)).filter(Boolean));
+  return [...years].sort().reverse();
+}
+
+/**
+ * Sorts one year of categorizeTransactions output into tax buckets.
+ * Returns [{ bucket, rows, total }] in bucket order (rows carry Category and
+ * are sorted by date), followed by TAX_OTHER_DEDUCTIBLE when any flagged row
+ * is left over. Totals are positive for income received and for deductible
+ * spending; refunds reduce them.
+ */
+function taxReport(categorized, year, buckets = getTaxBuckets()) {
+  const entries = buckets.map(bucket => ({ bucket, rows: [], total: 0 }));
+  const other = {
+    bucket: { id: 'tax-other', name: TAX_OTHER_DEDUCTIBLE, schedule: '', kind: 'deduction', categories: [], keywords: [], tags: [] },
+    rows: [],
+    total: 0
+  };
+
+  Object.entries(categorized).forEach(([category, txns]) => {
+    txns.forEach(t => {
+      if (t.Transfer || !t.Date.startsWith(`${year}-`)) return;
+      const entry = entries.find(e => matchesTaxBucket(t, category, e.bucket)) || (t.Deductible ? other : null);
+      if (entry) entry.rows.push({ ...t, Category: category });
+    });
+  });
+  if (other.rows.length) entries.push(other);
+
+  entries.forEach(e => {
+    e.rows.sort((a, b) => a.Date.localeCompare(b.Date) || a.Description.localeCompare(b.Description));
+    const sum = e.rows.reduce((total, t) => total + t.Amount, 0);
+    e.total = e.bucket.kind === 'income' ? sum : -sum;
+  });
+  return entries;
+}
+
+// One flat row per supporting transaction
+function taxReportRows(report) {
+  return report.flatMap(({ bucket, rows }) => rows.map(t => ({
+    Schedule: bucket.schedule,
+    Bucket: bucket.name,
+    Date: t.Date,
+    Amount: Number(t.Amount.toFixed(2)),
+    Description: t.Description,
+    Category: t.Category,
+    Tags: (t.Tags || []).join(', '),
+    Notes: t.Note || '',
+    Account: t.Account || ''
+  })));
+}
+
+// A standalone HTML page with the year's totals and supporting transactions
+function taxReportHtml(report, year) {
+  const esc = xmlEscape;
+  const cells = (tag, values) => `<tr>${values.map(v => `<${tag}>${esc(v)}</${tag}>`).join('')}</tr>`;
+  const totals = report.map(e => cells('td', [e.bucket.schedule, e.bucket.name, e.rows.length, e.total.toFixed(2)]));
+  const sections = report.filter(e => e.rows.length).map(e => [
+    `<h2>${esc([e.bucket.schedule, e.bucket.name].filter(Boolean).join(': '))} (${esc(e.total.toFixed(2))})</h2>`,
+    '<table>',
+    cells('th', ['Date', 'Amount', 'Description', 'Category', 'Account', 'Notes']),
+    ...e.rows.map(t => cells('td', [
+      t.Date, t.Amount.toFixed(2), t.Description, t.Category, t.Account || '', [t.Note, ...(t.Tags || [])].filter(Boolean).join('; ')
+    ])),
+    '</table>'
+  ].join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>Tax Summary ${esc(year)}</title>`,
+    '<style>body{font-family:sans-serif;font-size:12px;margin:2rem}table{border-collapse:collapse;width:100%;margin-bottom:1rem}' +
+      'th,td{border:1px solid #999;padding:3px 6px;text-align:left}h2{font-size:14px;margin-top:1.5rem}' +
+      '@media print{h2{break-after:avoid}tr{break-inside:avoid}}</style>',
+    '</head><body>',
+    `<h1>Tax Summary ${esc(year)}</h1>`,
+    `<p>Prepared ${esc(new Date().toISOString().slice(0, 10))} from bank statements. Check the totals against official ` +
+      'forms (1098-E, donation receipts, 1099s) before filing.</p>',
+    '<table>',
+    cells('th', ['Schedule', 'Bucket', 'Transactions', 'Total']),
+    ...totals,
+    '</table>',
+    ...sections,
+    '</body></html>'
+  ].join('\n');
+}
+
+// Opens the summary in a new window to print; downloads it if pop-ups are blocked
+function printTaxReport(report, year) {
+  const html = taxReportHtml(report, year);
+  const win = window.open('', '_blank');
+  if (!win) return downloadFile(exportFileName(`tax-${year}`, 'html'), html, 'text/html');
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+// Editable table of buckets; every change saves and calls onChange
+function buildTaxBucketEditor(onChange) {
+  const wrap = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = 'Edit Tax Buckets';
+  summary.style.cursor = 'pointer';
+  wrap.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.textContent = 'A transaction goes to the first bucket whose categories, description keywords and tags all ' +
+    'match; leave a list empty to accept anything. Separate several entries with commas.';
+  wrap.appendChild(intro);
+
+  const buckets = getTaxBuckets();
+  const save = next => {
+    recordAction('Edit tax buckets', () => saveTaxBuckets(next));
+    onChange();
+  };
+
+  const scheduleList = 'tax-schedules';
+  const datalist = document.createElement('datalist');
+  datalist.id = scheduleList;
+  TAX_SCHEDULES.forEach(s => {
+    const opt = document.createElement('option');
+    opt.value = s;
+    datalist.appendChild(opt);
+  });
+  wrap.appendChild(datalist);
+
+  const table = document.createElement('table');
+  const thead = table.insertRow();
+  ['Schedule', 'Bucket', 'Type', 'Categories', 'Description Contains', 'Tags', ''].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+
+  // Inputs for one bucket; read() returns the edited bucket
+  const bucketInputs = (row, bucket) => {
+    const schedule = ruleInput(bucket.schedule, 'text', '7rem');
+    schedule.setAttribute('list', scheduleList);
+    const name = ruleInput(bucket.name, 'text', '11rem');
+    const kind = ruleSelect(TAX_KINDS, bucket.kind);
+    const categories = ruleInput(bucket.categories.join(', '), 'text', '10rem');
+    const keywords = ruleInput(bucket.keywords.join(', '), 'text', '10rem');
+    const tags = ruleInput(bucket.tags.join(', '), 'text', '7rem');
+    [schedule, name, kind, categories, keywords, tags].forEach(control => row.insertCell().appendChild(control));
+    return () => ({
+      ...bucket,
+      schedule: schedule.value.trim(),
+      name: name.value.trim(),
+      kind: kind.value,
+      categories: splitList(categories.value),
+      keywords: splitList(keywords.value),
+      tags: splitList(tags.value)
+    });
+  };
+  const checkBucket = bucket => {
+    if (!bucket.name) return 'Please name the bucket.';
+    if (!bucket.categories.length && !bucket.keywords.length && !bucket.tags.length) {
+      return 'Please enter at least one category, keyword or tag.';
+    }
+    return '';
+  };
+
+  buckets.forEach((bucket, i) => {
+    const row = table.insertRow();
+    const read = bucketInputs(row, bucket);
+    const actions = row.insertCell();
+    actions.appendChild(ruleButton('Save', () => {
+      const next = read();
+      const problem = checkBucket(next);
+      if (problem) return alert(problem);
+      save(buckets.map(b => (b.id === bucket.id ? next : b)));
+    }));
+    const up = ruleButton('↑', () => {
+      const next = buckets.slice();
+      [next[i - 1], next[i]] = [next[i], next[i - 1]];
+      save(next);
+    });
+    up.title = 'Check this bucket earlier';
+    up.disabled = i === 0;
+    actions.appendChild(up);
+    actions.appendChild(ruleButton('Remove', () => save(buckets.filter(b => b.id !== bucket.id))));
+  });
+
+  const addRow = table.insertRow();
+  const readNew = bucketInputs(addRow, { schedule: '', name: '', kind: 'deduction', categories: [], keywords: [], tags: [] });
+  addRow.insertCell().appendChild(ruleButton('Add Bucket', () => {
+    const bucket = { ...readNew(), id: newTaxBucketId() };
+    const problem = checkBucket(bucket);
+    if (problem) return alert(problem);
+    save([...buckets, bucket]);
+  }));
+  wrap.appendChild(table);
+
+  wrap.appendChild(ruleButton('Reset to Defaults', () => {
+    if (!confirm('Replace your tax buckets with the defaults?')) return;
+    removeStored(TAX_BUCKETS_KEY);
+    onChange();
+  }));
+  return wrap;
+}
+
+function renderTaxReport(categorized, open, editorOpen = false) {
+  const container = document.getElementById('tax-report');
+  const current = container.querySelector('details');
+  const wasOpen = !!(current && current.open);
+  container.innerHTML = '';
+
+  const years = taxYears(categorized);
+  if (!years.length) return;
+  if (!years.includes(TAX_YEAR)) {
+    // At tax time the year to file is last year, even with this year's rows loaded
+    const lastYear = String(new Date().getFullYear() - 1);
+    TAX_YEAR = years.includes(lastYear) ? lastYear : years[0];
+  }
+  const rerender = () => renderTaxReport(categorized, true, true);
+
+  const details = document.createElement('details');
+  details.open = open === undefined ? wasOpen : open;
+  details.style.marginTop = '1rem';
+  const summary = document.createElement('summary');
+  summary.textContent = `Tax Report (${TAX_YEAR})`;
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  details.appendChild(summary);
+
+  const year = ruleSelect(years.map(y => [y, y]), TAX_YEAR);
+  year.addEventListener('change', () => {
+    TAX_YEAR = year.value;
+    renderTaxReport(categorized, true);
+  });
+  details.appendChild(ruleField('Tax year:', year));
+
+  const report = taxReport(categorized, TAX_YEAR);
+  details.appendChild(ruleButton('Print Summary', () => printTaxReport(report, TAX_YEAR)));
+  details.appendChild(ruleButton('Transactions (CSV)', () => {
+    downloadFile(exportFileName(`tax-${TAX_YEAR}`, 'csv'),
+      Papa.unparse(taxReportRows(report), { columns: TAX_CSV_COLUMNS, escapeFormulae: true }), 'text/csv');
+  }));
+
+  const table = document.createElement('table');
+  table.style.marginTop = '0.5rem';
+  const thead = table.insertRow();
+  ['Schedule', 'Bucket', 'Transactions', 'Total'].forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    thead.appendChild(th);
+  });
+  report.forEach(e => {
+    const row = table.insertRow();
+    row.insertCell().textContent = e.bucket.schedule;
+    row.insertCell().textContent = e.bucket.name;
+    row.insertCell().textContent = e.rows.length;
+    row.insertCell().textContent = e.total.toFixed(2);
+  });
+  details.appendChild(table);
+
+  // Supporting transactions, one collapsible list per bucket
+  report.filter(e => e.rows.length).forEach(e => {
+    const list = document.createElement('details');
+    const title = document.createElement('summary');
+    title.textContent = `${e.bucket.name}: ${e.rows.length} transactions, ${e.total.toFixed(2)}`;
+    title.style.cursor = 'pointer';
+    list.appendChild(title);
+    const rows = document.createElement('table');
+    const head = rows.insertRow();
+    ['Date', 'Amount', 'Description', 'Category', 'Account', 'Notes'].forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    e.rows.forEach(t => {
+      const row = rows.insertRow();
+      row.insertCell().textContent = t.Date;
+      row.insertCell().textContent = t.Amount.toFixed(2);
+      row.insertCell().textContent = t.Description;
+      row.insertCell().textContent = t.Category;
+      row.insertCell().textContent = t.Account || '';
+      row.insertCell().textContent = annotationSummary(t);
+    });
+    list.appendChild(rows);
+    details.appendChild(list);
+  });
+
+  const editor = buildTaxBucketEditor(rerender);
+  editor.open = editorOpen;
+  editor.style.marginTop = '0.75rem';
+  details.appendChild(editor);
+
+  container.appendChild(details);
+}